@@ -0,0 +1,181 @@
+// Wuweiqi in the terminal - run with `npm run play` (`npm run play -- --duel` for two
+// players at one keyboard)
+//
+// `npm run play -- --help` lists the options, e.g. scripted play:
+//   printf 'place E5 west\nhistory\n' | npm run play -- --seed test
+
+import { createInterface } from 'node:readline';
+import { parseArgs } from 'node:util';
+import {
+  selectRules,
+  isMoveLegal,
+  getHint,
+  MAX_HINT_LEVEL,
+  getInitialStones,
+  formatCoordinate,
+} from '../src/rules.js';
+import { TOPOLOGIES } from '../src/topology.js';
+import { createEngine, canMove } from '../src/engine.js';
+import { createRandom, seedFromString } from '../src/random.js';
+import { COMMANDS, renderBoard, parseCommand, renderHistory } from './terminal.js';
+
+const TOPOLOGY = 'square';
+const { orientationNames } = TOPOLOGIES[TOPOLOGY];
+
+const USAGE = `Usage: npm run play -- [options]
+
+  --duel           hot-seat duel instead of solo play
+  --size <n>       board size (${TOPOLOGIES[TOPOLOGY].sizes.join(', ')} - default 9)
+  --seed <text>    the same seed always picks the same hidden rules
+  --script         read commands from stdin without prompts, printing one line
+                   per result (the default when stdin isn't a terminal)
+  --help           this text`;
+
+const readOptions = () => {
+  try {
+    return parseArgs({
+      options: {
+        duel: { type: 'boolean', default: false },
+        size: { type: 'string', default: '9' },
+        seed: { type: 'string' },
+        script: { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false },
+      },
+    }).values;
+  } catch (error) {
+    // Unknown flags, missing values and the like
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+};
+
+const options = readOptions();
+if (options.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+const size = Number(options.size);
+if (!TOPOLOGIES[TOPOLOGY].sizes.includes(size)) {
+  console.error(`The board size must be one of ${TOPOLOGIES[TOPOLOGY].sizes.join(', ')}`);
+  process.exit(1);
+}
+const duel = options.duel;
+const scripted = options.script || !process.stdin.isTTY;
+const random = options.seed === undefined ? Math.random : createRandom(seedFromString(options.seed));
+const stones = getInitialStones(size, TOPOLOGY);
+
+const say = (text) => console.log(text);
+const chooseRules = () => selectRules({ size, topology: TOPOLOGY, players: duel ? 2 : 1, random });
+const describeMove = ({ row, col, orientation }) => `${formatCoordinate(row, col, size)} ${orientationNames[orientation]}`;
+
+const engine = createEngine({ mode: duel ? 'duel' : 'solo', size, topology: TOPOLOGY, rules: chooseRules() });
+let orientation = 0; // Used when a move leaves out its direction
+let hintLevels = { 1: 0, 2: 0 }; // Each player at the keyboard gets their own hints
+let revealed = false;
+
+const showBoard = () => say(renderBoard(engine.getState().board, { topology: TOPOLOGY }));
+
+const showIntro = () => {
+  say(duel
+    ? `Wuweiqi - hot-seat duel. Each player has ${stones} stones to place; the first to place them all wins.`
+    : `Wuweiqi - place all ${stones} stones in as few moves as you can.`);
+  say('The rules that decide which moves are legal are hidden. Type help for commands.\n');
+  showBoard();
+};
+
+engine.on((event, game) => {
+  if (event.type === 'move') {
+    const who = duel ? `Player ${event.move.player} ` : '';
+    const captured = event.move.captured ? ` (${event.move.captured} captured)` : '';
+    say(`${who}${describeMove(event.move)} - ${event.move.legal ? 'legal' : 'illegal'}${captured}`);
+  } else if (event.type === 'gameOver') {
+    if (event.winner === null) {
+      say('Nobody can place another stone - the game is drawn.');
+    } else if (duel) {
+      say(`Player ${event.winner} placed all their stones and wins!`);
+    } else {
+      say(`You placed all ${stones} stones in ${game.player1Moves} moves.`);
+    }
+  }
+});
+
+// After each turn: end a game nobody can finish, and show the board when playing by hand
+const afterTurn = () => {
+  if (!engine.getState().gameOver && !canMove(engine.getState())) engine.declareDraw();
+  if (!scripted) showBoard();
+};
+
+const place = ({ row, col, orientation: chosen }) => {
+  const game = engine.getState();
+  if (revealed || game.gameOver) return say('This game is over - type new to play again.');
+  if (game.board[row][col]) return say(`${formatCoordinate(row, col, size)} is taken.`);
+  engine.placeStone(row, col, chosen ?? orientation);
+  afterTurn();
+};
+
+const hint = () => {
+  const { rules, moveHistory, board, currentPlayer: player, gameOver } = engine.getState();
+  if (revealed || gameOver) return say('This game is over - type new to play again.');
+  hintLevels = { ...hintLevels, [player]: Math.min(hintLevels[player] + 1, MAX_HINT_LEVEL) };
+  // The last level's text already names an example move
+  const { text } = getHint(rules, hintLevels[player], { moveHistory, board, topology: TOPOLOGY, player });
+  say(`Hint ${hintLevels[player]}/${MAX_HINT_LEVEL}: ${text}`);
+};
+
+// Show the hidden rules, and which points are legal right now facing the current direction
+const reveal = () => {
+  const { rules, board, moveHistory, currentPlayer: player } = engine.getState();
+  revealed = true;
+  say('The hidden rules were:');
+  rules.forEach(rule => say(`  ${rule.name} - ${rule.description}`));
+  say(`\nWhere a stone pointing ${orientationNames[orientation]} is legal now (o) or not (x):`);
+  say(renderBoard(board, {
+    topology: TOPOLOGY,
+    mark: (row, col) => (isMoveLegal(row, col, orientation, rules, board, moveHistory, player) ? 'o' : 'x'),
+  }));
+};
+
+const startNewGame = () => {
+  engine.reset(chooseRules());
+  orientation = 0;
+  hintLevels = { 1: 0, 2: 0 };
+  revealed = false;
+  if (!scripted) showIntro();
+};
+
+const handlers = {
+  none: () => {},
+  error: ({ message }) => say(message),
+  place,
+  turn: (command) => {
+    orientation = command.orientation;
+    say(`Stones now point ${orientationNames[orientation]}.`);
+  },
+  hint,
+  history: () => say(renderHistory(engine.getState().moveHistory, { size, topology: TOPOLOGY, duel })),
+  board: showBoard,
+  reveal,
+  new: startNewGame,
+  help: () => COMMANDS.forEach(([usage, description]) => say(`  ${usage.padEnd(16)}${description}`)),
+};
+
+const prompt = (input) => {
+  if (scripted) return;
+  const { currentPlayer, gameOver } = engine.getState();
+  const who = duel && !gameOver && !revealed ? `Player ${currentPlayer} ` : '';
+  input.setPrompt(`${who}(${orientationNames[orientation]}) > `);
+  input.prompt();
+};
+
+const input = createInterface({ input: process.stdin, output: process.stdout, terminal: !scripted });
+if (!scripted) showIntro();
+prompt(input);
+
+for await (const line of input) {
+  const command = parseCommand(line, { size, topology: TOPOLOGY });
+  if (command.type === 'quit') break;
+  handlers[command.type](command);
+  prompt(input);
+}
+input.close();
@@ -0,0 +1,100 @@
+// Terminal rendering and command parsing for the command-line game
+// Boards use the same A9-style coordinates as the browser board (rows counted from
+// the bottom, columns lettered from the left).
+
+import { formatCoordinate, parseCoordinate } from '../src/rules.js';
+import { getTopology, isStarPoint } from '../src/topology.js';
+
+// Direction glyphs for each orientation (North, East, South, West), one set per player
+const GLYPHS = {
+  1: ['↑', '→', '↓', '←'],
+  2: ['⇑', '⇒', '⇓', '⇐'],
+};
+
+const EMPTY = '·';
+const STAR_POINT = '+';
+
+export const COMMANDS = [
+  ['place E5 west', 'Try a stone (the direction can be a name, its first letter or 1-4)'],
+  ['E5 west', 'Same as place'],
+  ['turn west', 'Set the direction used when a move leaves it out'],
+  ['hint', 'A more specific hint each time'],
+  ['history', 'Every move so far'],
+  ['board', 'Draw the board again'],
+  ['reveal', 'Show the hidden rules and where stones are legal (ends the game)'],
+  ['new', 'Start a new game with new rules'],
+  ['help', 'This list'],
+  ['quit', 'Leave'],
+];
+
+// The board as text, with row numbers on the left and column letters underneath
+export const renderBoard = (board, { topology = 'square', mark = null } = {}) => {
+  const size = board.length;
+  const labelWidth = String(size).length;
+  const rows = board.map((cells, row) => {
+    const points = cells.map((cell, col) => {
+      if (cell) return GLYPHS[cell.player ?? 1][cell.orientation];
+      if (mark) return mark(row, col);
+      return isStarPoint(row, col, size, topology) ? STAR_POINT : EMPTY;
+    });
+    return `${String(size - row).padStart(labelWidth)} ${points.join(' ')}`;
+  });
+  const letters = board[0].map((_, col) => formatCoordinate(0, col, size).charAt(0));
+  return [...rows, `${' '.repeat(labelWidth)} ${letters.join(' ')}`].join('\n');
+};
+
+// 'west', 'W', 'West' or '4' - returns the orientation or null
+export const parseDirection = (text, topology = 'square') => {
+  const { orientationNames } = getTopology(topology);
+  const word = text.toLowerCase();
+  if (/^\d+$/.test(word)) {
+    const number = Number(word);
+    return number >= 1 && number <= orientationNames.length ? number - 1 : null;
+  }
+  const index = orientationNames.findIndex(name => name.toLowerCase().startsWith(word));
+  return word.length > 0 && index !== -1 ? index : null;
+};
+
+// A line of input as { type, ... } - or { type: 'error', message }
+export const parseCommand = (line, { size, topology = 'square' }) => {
+  const words = line.trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return { type: 'none' };
+
+  // A bare coordinate is a move
+  const [first, ...rest] = parseCoordinate(words[0], size) ? ['place', ...words] : words;
+  const command = first.toLowerCase();
+
+  if (command === 'place') {
+    const point = rest[0] && parseCoordinate(rest[0], size);
+    if (!point) return { type: 'error', message: `Where? Give a point like ${formatCoordinate(0, 0, size)}` };
+    const orientation = rest[1] === undefined ? null : parseDirection(rest[1], topology);
+    if (rest[1] !== undefined && orientation === null) {
+      return { type: 'error', message: `Unknown direction: ${rest[1]}` };
+    }
+    return { type: 'place', row: point[0], col: point[1], orientation };
+  }
+
+  if (command === 'turn') {
+    const orientation = rest[0] === undefined ? null : parseDirection(rest[0], topology);
+    if (orientation === null) return { type: 'error', message: 'Turn which way? e.g. turn west' };
+    return { type: 'turn', orientation };
+  }
+
+  if (['hint', 'history', 'board', 'reveal', 'new', 'help', 'quit'].includes(command)) {
+    return { type: command };
+  }
+  if (command === 'exit') return { type: 'quit' };
+  return { type: 'error', message: `Unknown command: ${first} (try help)` };
+};
+
+// One line per move, e.g. "3. Player 2 E5 West - illegal"
+export const renderHistory = (moveHistory, { size, topology = 'square', duel = false }) => {
+  if (moveHistory.length === 0) return 'No moves yet.';
+  const { orientationNames } = getTopology(topology);
+  return moveHistory.map((move, i) => {
+    const who = duel ? `Player ${move.player} ` : '';
+    const captured = move.captured ? ` (${move.captured} captured)` : '';
+    return `${i + 1}. ${who}${formatCoordinate(move.row, move.col, size)} ${orientationNames[move.orientation]}`
+      + ` - ${move.legal ? 'legal' : 'illegal'}${captured}`;
+  }).join('\n');
+};
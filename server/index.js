@@ -0,0 +1,132 @@
+// Online duel server - run with `npm run server` (PORT defaults to 8787)
+//
+// Messages are JSON objects with a `type`:
+//   client -> server   create { boardSize, topology, difficulty }, join { room }, rejoin { room, token },
+//                      place { row, col, orientation }, hint, declare { ruleIds }, draw
+//   server -> client   joined { room, player, token }, state { state }, hint { hint: { text, cell }, level },
+//                      error { message }
+
+import { WebSocketServer } from 'ws';
+import {
+  RoomError,
+  getRoom,
+  createRoom,
+  joinRoom,
+  rejoinRoom,
+  setConnected,
+  placeStone,
+  requestHint,
+  declareRules,
+  declareDraw,
+  getPublicState,
+  removeIdleRooms,
+} from './rooms.js';
+
+const PORT = Number(process.env.PORT ?? 8787);
+const ROOM_IDLE_MS = 30 * 60 * 1000;
+const SEAT_TAKEN = 4000; // Close code for a connection whose seat was rejoined elsewhere
+
+const server = new WebSocketServer({ port: PORT });
+
+// Which room and seat each connection plays
+const seats = new Map();
+const creating = new Set(); // Connections waiting for their new room
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+};
+
+const broadcastState = (room) => {
+  for (const [socket, seat] of seats) {
+    if (seat.room === room) send(socket, { type: 'state', state: getPublicState(room) });
+  }
+};
+
+// A rejoin takes the seat from any connection still holding it, which is forgotten
+// first so that closing it doesn't mark the seat disconnected
+const takeSeat = (socket, room, { player, token }) => {
+  for (const [other, seat] of seats) {
+    if (seat.room === room && seat.player === player) {
+      seats.delete(other);
+      other.close(SEAT_TAKEN, 'Seat taken by another connection');
+    }
+  }
+  seats.set(socket, { room, player });
+  send(socket, { type: 'joined', room: room.code, player, token });
+  broadcastState(room);
+};
+
+const handlers = {
+  create: async (socket, message) => {
+    creating.add(socket);
+    try {
+      const room = await createRoom({
+        boardSize: message.boardSize,
+        topology: message.topology,
+        difficulty: message.difficulty,
+      });
+      // Whoever asked may have left while the rules were being chosen - the empty room idles out
+      if (socket.readyState === socket.OPEN) takeSeat(socket, room, joinRoom(room));
+    } finally {
+      creating.delete(socket);
+    }
+  },
+  join: (socket, message) => {
+    const room = getRoom(message.room);
+    takeSeat(socket, room, joinRoom(room));
+  },
+  rejoin: (socket, message) => {
+    const room = getRoom(message.room);
+    takeSeat(socket, room, rejoinRoom(room, message.token));
+  },
+  place: (socket, message, seat) => {
+    placeStone(seat.room, seat.player, message);
+    broadcastState(seat.room);
+  },
+  hint: (socket, message, seat) => {
+    send(socket, { type: 'hint', ...requestHint(seat.room, seat.player) });
+  },
+  declare: (socket, message, seat) => {
+    declareRules(seat.room, seat.player, message.ruleIds);
+    broadcastState(seat.room);
+  },
+  draw: (socket, message, seat) => {
+    declareDraw(seat.room);
+    broadcastState(seat.room);
+  },
+};
+
+const SEATLESS = ['create', 'join', 'rejoin'];
+
+server.on('connection', (socket) => {
+  socket.on('message', async (data) => {
+    try {
+      const message = JSON.parse(data);
+      if (message === null || typeof message !== 'object' || Array.isArray(message)) throw new RoomError('Bad request');
+      const handler = handlers[message.type];
+      if (!handler) throw new RoomError(`Unknown message: ${message.type}`);
+      if (creating.has(socket)) throw new RoomError('Still setting up the room');
+
+      const seat = seats.get(socket);
+      if (!seat && !SEATLESS.includes(message.type)) throw new RoomError('Join a room first');
+      if (seat && SEATLESS.includes(message.type)) throw new RoomError('Already in a room');
+
+      await handler(socket, message, seat);
+    } catch (error) {
+      if (!(error instanceof RoomError) && !(error instanceof SyntaxError)) console.error(error);
+      send(socket, { type: 'error', message: error instanceof RoomError ? error.message : 'Bad request' });
+    }
+  });
+
+  socket.on('close', () => {
+    const seat = seats.get(socket);
+    if (!seat) return;
+    seats.delete(socket);
+    setConnected(seat.room, seat.player, false);
+    broadcastState(seat.room);
+  });
+});
+
+setInterval(() => removeIdleRooms(ROOM_IDLE_MS), 60 * 1000).unref();
+
+console.log(`Wuweiqi server listening on ws://localhost:${PORT}`);
@@ -0,0 +1,179 @@
+// Duel rooms for the online server - the server owns the hidden rules and judges
+// every move, so clients only ever learn legal/illegal results (and the rules once
+// the game is over)
+
+import { BOARD_SIZE, getHint, getRulesByIds, MAX_HINT_LEVEL } from '../src/rules.js';
+import { DEFAULT_TOPOLOGY, TOPOLOGIES } from '../src/topology.js';
+import { createGame, applyAction, canMove } from '../src/engine.js';
+import { DEFAULT_DIFFICULTY, DIFFICULTY_LEVELS } from '../src/difficulty.js';
+import { selectRulesInWorker, getPendingSelections } from './ruleSelection.js';
+
+const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I or O - easy to read out loud
+const CODE_LENGTH = 4;
+const MAX_PENDING_ROOMS = 8; // Rooms waiting for their rules before new ones are turned away
+
+export class RoomError extends Error {}
+
+const rooms = new Map();
+
+const randomCode = () =>
+  Array.from({ length: CODE_LENGTH }, () =>
+    CODE_LETTERS[Math.floor(Math.random() * CODE_LETTERS.length)]
+  ).join('');
+
+const createToken = () => crypto.randomUUID();
+
+export const getRoom = (code) => {
+  const room = rooms.get(String(code ?? '').toUpperCase());
+  if (!room) throw new RoomError('No room with that code');
+  return room;
+};
+
+// A new room - resolves once its rules have been chosen (off the main thread)
+export const createRoom = async ({
+  boardSize = BOARD_SIZE,
+  topology = DEFAULT_TOPOLOGY,
+  difficulty = DEFAULT_DIFFICULTY,
+} = {}) => {
+  if (!TOPOLOGIES[topology]?.sizes.includes(boardSize)) {
+    throw new RoomError('Unsupported board');
+  }
+  if (!DIFFICULTY_LEVELS[difficulty]) throw new RoomError('Unknown difficulty');
+  if (getPendingSelections() >= MAX_PENDING_ROOMS) throw new RoomError('The server is busy - try again in a moment');
+
+  const ruleIds = await selectRulesInWorker({ difficulty, size: boardSize, topology, players: 2 });
+
+  let code = randomCode();
+  while (rooms.has(code)) code = randomCode();
+
+  const room = {
+    code,
+    // The game itself is played out by the same engine the browser uses
+    game: createGame({
+      mode: 'duel',
+      size: boardSize,
+      topology,
+      rules: getRulesByIds(ruleIds, boardSize, topology),
+    }),
+    hintLevels: [0, 0], // Each seat asks for its own hints
+    players: [null, null], // { token, connected } per seat
+    lastActive: Date.now(),
+  };
+  rooms.set(code, room);
+  return room;
+};
+
+// Take the first free seat - returns { player, token }
+export const joinRoom = (room) => {
+  const seat = room.players.findIndex(player => player === null);
+  if (seat === -1) throw new RoomError('Room is full');
+  const token = createToken();
+  room.players[seat] = { token, connected: true };
+  room.lastActive = Date.now();
+  return { player: seat + 1, token };
+};
+
+// Reclaim a seat after a dropped connection
+export const rejoinRoom = (room, token) => {
+  const seat = room.players.findIndex(player => player?.token === token);
+  if (seat === -1) throw new RoomError('Not a player in this room');
+  room.players[seat].connected = true;
+  room.lastActive = Date.now();
+  return { player: seat + 1, token };
+};
+
+export const setConnected = (room, player, connected) => {
+  if (room.players[player - 1]) room.players[player - 1].connected = connected;
+  room.lastActive = Date.now();
+};
+
+const requireTurn = (room, player) => {
+  if (room.game.gameOver) throw new RoomError('The game is over');
+  if (room.players.includes(null)) throw new RoomError('Waiting for an opponent');
+  if (room.game.currentPlayer !== player) throw new RoomError('Not your turn');
+};
+
+// Play an engine action on the room's game - returns its events
+const play = (room, action) => {
+  const { game, events } = applyAction(room.game, action);
+  room.game = game;
+  room.lastActive = Date.now();
+  return events;
+};
+
+export const placeStone = (room, player, { row, col, orientation }) => {
+  requireTurn(room, player);
+  const topology = TOPOLOGIES[room.game.topology];
+  if (!Number.isInteger(row) || !Number.isInteger(col) || !topology.isOnBoard(row, col, room.game.size)) {
+    throw new RoomError('Not a point on the board');
+  }
+  if (!Number.isInteger(orientation) || orientation < 0 || orientation >= topology.orientationNames.length) {
+    throw new RoomError('Unknown orientation');
+  }
+  if (room.game.board[row][col]) throw new RoomError('That point is taken');
+
+  const events = play(room, { type: 'placeStone', row, col, orientation });
+  return events.find(event => event.type === 'move').move.legal;
+};
+
+// Hints are per seat, so this asks getHint directly rather than through the engine
+export const requestHint = (room, player) => {
+  if (room.game.gameOver) throw new RoomError('The game is over');
+  const seat = player - 1;
+  room.hintLevels[seat] = Math.min(room.hintLevels[seat] + 1, MAX_HINT_LEVEL);
+  // Without the rule id - that would give the rule away
+  const { text, cell } = getHint(room.game.rules, room.hintLevels[seat], {
+    moveHistory: room.game.moveHistory,
+    board: room.game.board,
+    topology: room.game.topology,
+    player,
+  });
+  return { level: room.hintLevels[seat], hint: { text, cell } };
+};
+
+export const declareRules = (room, player, ruleIds) => {
+  requireTurn(room, player);
+  if (!Array.isArray(ruleIds) || ruleIds.length === 0) throw new RoomError('Declare at least one rule');
+  const events = play(room, { type: 'declareRules', ruleIds });
+  return events.find(event => event.type === 'declaration').correct;
+};
+
+// End a game nobody can finish - only once neither player has a legal move
+export const declareDraw = (room) => {
+  if (room.game.gameOver) throw new RoomError('The game is over');
+  if (canMove(room.game)) throw new RoomError('There are still legal moves');
+  play(room, { type: 'declareDraw' });
+};
+
+// Everything a client may see - the hidden rules only once the game is over
+// (moves are sent without their boards - clients rebuild them)
+export const getPublicState = ({ code, game, players }) => ({
+  room: code,
+  boardSize: game.size,
+  topology: game.topology,
+  board: game.board,
+  currentPlayer: game.currentPlayer,
+  stones: [game.player1Stones, game.player2Stones],
+  moves: [game.player1Moves, game.player2Moves],
+  moveHistory: game.moveHistory.map(({ row, col, orientation, player, legal, captured, timestamp }) =>
+    ({ row, col, orientation, player, legal, captured, timestamp })),
+  seated: players.map(player => player !== null),
+  connected: players.map(player => Boolean(player?.connected)),
+  gameOver: game.gameOver,
+  stuck: !game.gameOver && !canMove(game),
+  winner: game.winner,
+  declaredBy: game.declaredBy,
+  declarationBonus: game.declarationBonus,
+  counterexample: game.counterexample,
+  ruleIds: game.gameOver ? game.rules.map(rule => rule.id) : null,
+});
+
+// Forget rooms nobody has touched for a while
+export const removeIdleRooms = (maxIdleMs) => {
+  const cutoff = Date.now() - maxIdleMs;
+  for (const [code, room] of rooms) {
+    if (room.lastActive < cutoff && !room.players.some(player => player?.connected)) {
+      rooms.delete(code);
+    }
+  }
+};
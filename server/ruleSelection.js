@@ -0,0 +1,41 @@
+// Choosing a room's rules takes up to a couple of seconds, so it runs in a worker
+// thread where it can't hold up the moves of every other room. Requests queue up in
+// the one worker; callers check getPendingSelections() to turn new ones away when busy.
+
+import { Worker } from 'node:worker_threads';
+
+let worker = null;
+let nextId = 0;
+const pending = new Map(); // id -> { resolve, reject }
+
+const startWorker = () => {
+  worker = new Worker(new URL('./ruleWorker.js', import.meta.url));
+  worker.unref();
+
+  worker.on('message', ({ id, ruleIds, error }) => {
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    if (error) request.reject(new Error(error));
+    else request.resolve(ruleIds);
+  });
+
+  // A crashed worker fails everything it was working on; the next request starts a new one
+  worker.on('error', (error) => {
+    for (const request of pending.values()) request.reject(error);
+    pending.clear();
+    worker = null;
+  });
+};
+
+export const getPendingSelections = () => pending.size;
+
+// Resolves with the ids of rules chosen by selectRulesForDifficulty
+export const selectRulesInWorker = ({ difficulty, size, topology, players }) => {
+  if (!worker) startWorker();
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ id, difficulty, size, topology, players });
+  });
+};
@@ -0,0 +1,15 @@
+// Worker thread that chooses the hidden rules for new rooms (see ruleSelection.js)
+// Receives { id, difficulty, size, topology, players } and answers { id, ruleIds }
+// or { id, error }.
+
+import { parentPort } from 'node:worker_threads';
+import { selectRulesForDifficulty } from '../src/difficulty.js';
+
+parentPort.on('message', ({ id, difficulty, ...options }) => {
+  try {
+    const rules = selectRulesForDifficulty(difficulty, options);
+    parentPort.postMessage({ id, ruleIds: rules.map(rule => rule.id) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
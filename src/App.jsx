@@ -1,9 +1,129 @@
 import { useState } from 'react';
 import Game from './components/Game';
+import GameViewer from './components/GameViewer';
+import Statistics from './components/Statistics';
+import { BOARD_SIZE } from './rules';
+import { DEFAULT_TOPOLOGY, TOPOLOGIES } from './topology';
+import { AI_LEVELS } from './ai';
+import { PLAY_STYLES, DEFAULT_PLAY_STYLE } from './timeTravel';
+import { DIFFICULTY_LEVELS, DEFAULT_DIFFICULTY } from './difficulty';
+import { readPuzzleFromUrl, clearPuzzleFromUrl } from './puzzleCode';
+import { getDailyKey, getDailyRules, getDailyResult } from './daily';
+import { parseGameRecord } from './gameRecord';
+import { getSavedGames, deleteSavedGame } from './savedGames';
+import { DEFAULT_SERVER_URL, getOnlineSession, clearOnlineSession } from './onlineClient';
 import './App.css';
 
 function App() {
-  const [screen, setScreen] = useState('menu'); // 'menu', 'solo', 'duel', 'about'
+  // A puzzle code in the URL boots straight into that puzzle
+  const [puzzle, setPuzzle] = useState(() => readPuzzleFromUrl());
+  const [screen, setScreen] = useState(() => puzzle ? puzzle.mode : 'menu'); // 'menu', 'solo', 'duel', 'about', 'import', 'viewer', 'stats', 'online'
+  const [boardSize, setBoardSize] = useState(BOARD_SIZE);
+  const [topology, setTopology] = useState(DEFAULT_TOPOLOGY);
+  const [opponent, setOpponent] = useState('human'); // Duel mode Player 2
+  const [duelStyle, setDuelStyle] = useState(DEFAULT_PLAY_STYLE); // Ranked duels have no undo
+  const [captures, setCaptures] = useState(false); // Duels where surrounded groups are taken off
+  const [difficulty, setDifficulty] = useState(DEFAULT_DIFFICULTY);
+
+  const chooseTopology = (id) => {
+    setTopology(id);
+    if (!TOPOLOGIES[id].sizes.includes(boardSize)) setBoardSize(BOARD_SIZE);
+  };
+
+  // Saved game being continued (games autosave, so the menu can offer to continue them)
+  const [saved, setSaved] = useState(null);
+  const [savedGames, setSavedGames] = useState(() => getSavedGames());
+
+  // Online duel ({ url, join, onSettings } while playing) and the lobby's inputs
+  const [online, setOnline] = useState(null);
+  const [serverUrl, setServerUrl] = useState(DEFAULT_SERVER_URL);
+  const [roomCode, setRoomCode] = useState('');
+  const onlineSession = getOnlineSession();
+
+  const startOnline = (join, url = serverUrl) => {
+    setOnline({
+      url,
+      join,
+      // Players joining a room take on the board its creator chose
+      onSettings: (size, id) => {
+        setBoardSize(size);
+        setTopology(id);
+      },
+    });
+    setScreen('duel');
+  };
+
+  const exitGame = () => {
+    if (online) clearOnlineSession();
+    setOnline(null);
+    clearPuzzleFromUrl();
+    setPuzzle(null);
+    setSaved(null);
+    setSavedGames(getSavedGames());
+    setScreen('menu');
+  };
+
+  const continueGame = (save) => {
+    setPuzzle({
+      mode: save.mode,
+      boardSize: save.boardSize,
+      topology: save.topology,
+      ruleIds: save.ruleIds,
+      dailyKey: save.dailyKey,
+    });
+    setSaved(save);
+    setScreen(save.mode);
+  };
+
+  const forgetGame = (id) => {
+    deleteSavedGame(id);
+    setSavedGames(getSavedGames());
+  };
+
+  const describeSave = (save) => {
+    const moves = save.player1Moves + save.player2Moves;
+    const stones = save.mode === 'solo'
+      ? `${save.player1Stones} stones left`
+      : `${save.player1Stones} vs ${save.player2Stones} stones left`;
+    const time = new Date(save.savedAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+    return `${save.boardSize}×${save.boardSize} · ${stones} · ${moves} moves · ${time}`;
+  };
+
+  // Imported game record ({ recordText } while importing, parsed { record } once opened)
+  const [recordText, setRecordText] = useState('');
+  const [recordError, setRecordError] = useState(false);
+  const [record, setRecord] = useState(null);
+
+  const openRecord = (text) => {
+    const parsed = parseGameRecord(text);
+    setRecordError(!parsed);
+    if (!parsed) return;
+    setRecord(parsed);
+    setScreen('viewer');
+  };
+
+  const readRecordFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+      setRecordText(text);
+      openRecord(text);
+    });
+  };
+
+  const dailyResult = getDailyResult(getDailyKey());
+
+  const startDaily = () => {
+    const dailyKey = getDailyKey();
+    setPuzzle({
+      mode: 'solo',
+      boardSize: BOARD_SIZE,
+      topology: DEFAULT_TOPOLOGY,
+      ruleIds: getDailyRules(dailyKey).map(rule => rule.id),
+      dailyKey,
+    });
+    setScreen('solo');
+  };
 
   const renderMenu = () => (
     <div className="menu">
@@ -28,6 +148,28 @@ function App() {
       </div>
 
       <div className="menu-buttons">
+        {savedGames.map(save => (
+          <div key={save.id} className="saved-game">
+            <button onClick={() => continueGame(save)} className="menu-button">
+              <span className="button-icon">↻</span>
+              <span className="button-text">
+                <strong>
+                  Continue {save.dailyKey ? 'Daily Puzzle' : save.mode === 'solo' ? 'Solo Game' : 'Duel'}
+                </strong>
+                <small>{describeSave(save)}</small>
+              </span>
+            </button>
+            <button
+              onClick={() => forgetGame(save.id)}
+              className="forget-button"
+              aria-label="Delete saved game"
+              title="Delete saved game"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+
         <button onClick={() => setScreen('solo')} className="menu-button primary">
           <span className="button-icon">☯</span>
           <span className="button-text">
@@ -36,11 +178,135 @@ function App() {
           </span>
         </button>
 
+        <button onClick={startDaily} className="menu-button">
+          <span className="button-icon">☀</span>
+          <span className="button-text">
+            <strong>Daily Puzzle</strong>
+            <small>
+              {dailyResult
+                ? `Solved today in ${dailyResult.moves} moves`
+                : 'Same rules for everyone today'}
+            </small>
+          </span>
+        </button>
+
         <button onClick={() => setScreen('duel')} className="menu-button">
           <span className="button-icon">⚔</span>
           <span className="button-text">
             <strong>Duel Mode</strong>
-            <small>Race against a friend</small>
+            <small>
+              {opponent === 'human'
+                ? 'Race against a friend'
+                : `Race against the computer (${AI_LEVELS[opponent].name})`}
+            </small>
+          </span>
+        </button>
+
+        <button onClick={() => setScreen('online')} className="menu-button">
+          <span className="button-icon">⇄</span>
+          <span className="button-text">
+            <strong>Online Duel</strong>
+            <small>Race against a friend on another device</small>
+          </span>
+        </button>
+
+        <div className="option-picker">
+          <span className="picker-label">Difficulty</span>
+          {Object.entries(DIFFICULTY_LEVELS).map(([id, level]) => (
+            <button
+              key={id}
+              className={id === difficulty ? 'selected' : ''}
+              onClick={() => setDifficulty(id)}
+              title={level.description}
+            >
+              {level.name}
+            </button>
+          ))}
+        </div>
+
+        <div className="option-picker">
+          <span className="picker-label">Opponent</span>
+          {['human', ...Object.keys(AI_LEVELS)].map(level => (
+            <button
+              key={level}
+              className={level === opponent ? 'selected' : ''}
+              onClick={() => setOpponent(level)}
+              title={AI_LEVELS[level]?.description ?? 'A second player on this screen'}
+            >
+              {AI_LEVELS[level]?.name ?? 'Human'}
+            </button>
+          ))}
+        </div>
+
+        <div className="option-picker">
+          <span className="picker-label">Duel</span>
+          {Object.entries(PLAY_STYLES).map(([id, style]) => (
+            <button
+              key={id}
+              className={id === duelStyle ? 'selected' : ''}
+              onClick={() => setDuelStyle(id)}
+              title={style.description}
+            >
+              {style.name}
+            </button>
+          ))}
+        </div>
+
+        <div className="option-picker">
+          <span className="picker-label">Captures</span>
+          {[false, true].map(option => (
+            <button
+              key={String(option)}
+              className={option === captures ? 'selected' : ''}
+              onClick={() => setCaptures(option)}
+              title={option
+                ? 'Groups left without liberties are taken off and returned to their owner'
+                : 'Stones stay where they are placed'}
+            >
+              {option ? 'On' : 'Off'}
+            </button>
+          ))}
+        </div>
+
+        <div className="option-picker">
+          <span className="picker-label">Grid</span>
+          {Object.values(TOPOLOGIES).map(option => (
+            <button
+              key={option.id}
+              className={option.id === topology ? 'selected' : ''}
+              onClick={() => chooseTopology(option.id)}
+            >
+              {option.name}
+            </button>
+          ))}
+        </div>
+
+        <div className="option-picker">
+          <span className="picker-label">Board</span>
+          {TOPOLOGIES[topology].sizes.map(size => (
+            <button
+              key={size}
+              className={size === boardSize ? 'selected' : ''}
+              onClick={() => setBoardSize(size)}
+            >
+              {size}×{size}
+            </button>
+          ))}
+        </div>
+
+        <button onClick={() => setScreen('stats')} className="menu-button subtle">
+          <span className="button-icon">▤</span>
+          <span className="button-text">
+            <strong>Statistics</strong>
+            <small>Your finished games, best scores and trends</small>
+          </span>
+        </button>
+
+        <button onClick={() => setScreen('import')} className="menu-button subtle">
+          <span className="button-icon">⎗</span>
+          <span className="button-text">
+            <strong>Replay a Game</strong>
+            <small>Open a saved game record</small>
           </span>
         </button>
 
@@ -62,7 +328,8 @@ function App() {
         <h2>The Way</h2>
         <p>
           In Wuweiqi, the rules are hidden. Each game generates a unique set of rules
-          that determine which moves are legal. Your goal is to discover these rules
+          that determine which moves are legal. Some rules look at the moves that came
+          before, even the ones that failed. Your goal is to discover these rules
           through experimentation and place all your stones.
         </p>
       </section>
@@ -71,17 +338,25 @@ function App() {
         <h2>Mechanics</h2>
         <ul>
           <li><strong>Click</strong> on any intersection to place a stone</li>
-          <li><strong>Right-click</strong> or press <strong>R</strong> to rotate your piece</li>
+          <li><strong>Right-click</strong> or press <strong>R</strong> to rotate your piece (<strong>Shift+R</strong> turns it back)</li>
+          <li>
+            Play from the keyboard: <strong>arrow keys</strong> move around the board, <strong>Enter</strong> or{' '}
+            <strong>Space</strong> selects a point, <strong>Enter</strong> places the stone and <strong>Escape</strong> cancels.
+            Number keys pick a direction (<strong>1</strong> is North, or Northeast on the hexagonal board)
+          </li>
           <li>Valid moves show <span className="valid">○</span> and remain on the board</li>
           <li>Invalid moves show <span className="invalid">✕</span> and are removed</li>
+          <li>On the hexagonal board, pieces can point in six directions</li>
+          <li>Drag the slider above the move list to look back at earlier positions</li>
+          <li>Save the game record when a game ends and open it later with <strong>Replay a Game</strong></li>
         </ul>
       </section>
 
       <section>
         <h2>Solo Mode</h2>
         <p>
-          Place all 15 stones on the board. Try to minimize your total moves
-          by learning the hidden rules quickly.
+          Place all your stones on the board (15 on a 9×9 board, more on larger
+          boards). Try to minimize your total moves by learning the hidden rules quickly.
         </p>
       </section>
 
@@ -89,7 +364,11 @@ function App() {
         <h2>Duel Mode</h2>
         <p>
           Two players take turns. Both share the same hidden rules.
-          The first player to place all their stones wins!
+          The first player to place all their stones wins! Choose a computer
+          opponent to play Player 2 if no friend is around. Practice duels allow
+          undo and redo; ranked duels (and the daily puzzle) do not. With captures
+          on, a group of stones left without liberties (as in Go) is taken off the
+          board and goes back to its owner.
         </p>
       </section>
 
@@ -98,7 +377,9 @@ function App() {
         <p>
           Rules can involve position (rows, columns, edges), orientation
           (which way the yin-yang points), relationships to other stones,
-          or mathematical patterns. Multiple rules may be active at once.
+          Go-style groups and liberties, or mathematical patterns. Multiple rules may be active at once.
+          The difficulty you pick on the menu decides how hard they are: candidate rules
+          are tried out in simulated games and chosen by how many invalid moves they cause.
         </p>
       </section>
 
@@ -120,15 +401,136 @@ function App() {
     </div>
   );
 
+  const renderOnline = () => (
+    <div className="about online-lobby">
+      <h1>Online Duel</h1>
+
+      <section>
+        <p>
+          The server keeps the hidden rules, so neither player can peek at them.
+          Start it on this machine with <code>npm run server</code>.
+        </p>
+        <input
+          type="text"
+          value={serverUrl}
+          onChange={(e) => setServerUrl(e.target.value)}
+          aria-label="Server address"
+          spellCheck={false}
+        />
+      </section>
+
+      {onlineSession && (
+        <section>
+          <h2>Rejoin</h2>
+          <button onClick={() => startOnline({ type: 'rejoin', ...onlineSession }, onlineSession.url)} className="back-button">
+            Rejoin Room {onlineSession.room}
+          </button>
+        </section>
+      )}
+
+      <section>
+        <h2>New Room</h2>
+        <p>
+          Plays on a {boardSize}×{boardSize} {TOPOLOGIES[topology].name.toLowerCase()} board
+          at {DIFFICULTY_LEVELS[difficulty].name} difficulty - share the room code with your opponent.
+        </p>
+        <button onClick={() => startOnline({ type: 'create', boardSize, topology, difficulty })} className="back-button">
+          Create Room
+        </button>
+      </section>
+
+      <section>
+        <h2>Join a Room</h2>
+        <input
+          type="text"
+          className="room-input"
+          value={roomCode}
+          onChange={(e) => setRoomCode(e.target.value)}
+          placeholder="ABCD"
+          aria-label="Room code"
+          maxLength={4}
+        />
+        <button
+          onClick={() => startOnline({ type: 'join', room: roomCode.trim().toUpperCase() })}
+          disabled={!roomCode.trim()}
+          className="back-button"
+        >
+          Join Room
+        </button>
+      </section>
+
+      <button onClick={() => setScreen('menu')} className="back-button">
+        Return to Menu
+      </button>
+    </div>
+  );
+
+  const renderImport = () => (
+    <div className="about record-import">
+      <h1>Replay a Game</h1>
+
+      <section>
+        <p>
+          Open a <code>.wwq</code> file saved at the end of a game, or paste a game record below.
+        </p>
+        <input type="file" accept=".wwq,.txt,text/plain" onChange={readRecordFile} />
+        <textarea
+          value={recordText}
+          onChange={(e) => setRecordText(e.target.value)}
+          placeholder="(;GM[Wuweiqi]FF[1]…)"
+          rows={10}
+          spellCheck={false}
+        />
+        {recordError && <p className="invalid">That is not a valid Wuweiqi game record.</p>}
+      </section>
+
+      <div className="record-import-actions">
+        <button onClick={() => openRecord(recordText)} disabled={!recordText.trim()} className="back-button">
+          Open Record
+        </button>
+        <button onClick={() => setScreen('menu')} className="back-button">
+          Return to Menu
+        </button>
+      </div>
+    </div>
+  );
+
   return (
     <div className="app">
       {screen === 'menu' && renderMenu()}
       {screen === 'about' && renderAbout()}
+      {screen === 'import' && renderImport()}
+      {screen === 'online' && renderOnline()}
+      {screen === 'stats' && <Statistics onExit={() => setScreen('menu')} />}
+      {screen === 'viewer' && record && (
+        <GameViewer record={record} onExit={() => setScreen('import')} />
+      )}
       {screen === 'solo' && (
-        <Game mode="solo" onExit={() => setScreen('menu')} />
+        <Game
+          mode="solo"
+          boardSize={puzzle?.boardSize ?? boardSize}
+          topology={puzzle?.topology ?? topology}
+          difficulty={difficulty}
+          puzzle={puzzle}
+          playStyle={puzzle?.dailyKey ? 'ranked' : DEFAULT_PLAY_STYLE}
+          saved={saved}
+          onExit={exitGame}
+        />
       )}
       {screen === 'duel' && (
-        <Game mode="duel" onExit={() => setScreen('menu')} />
+        <Game
+          mode="duel"
+          boardSize={puzzle?.boardSize ?? boardSize}
+          topology={puzzle?.topology ?? topology}
+          difficulty={difficulty}
+          opponent={online ? 'human' : saved?.opponent ?? opponent}
+          puzzle={puzzle}
+          playStyle={saved?.playStyle ?? duelStyle}
+          captures={online ? false : saved?.captures ?? puzzle?.captures ?? captures}
+          saved={saved}
+          online={online}
+          onExit={exitGame}
+        />
       )}
     </div>
   );
@@ -0,0 +1,113 @@
+// Computer opponents for Duel mode
+// Every player only sees public information: the board and the legal/illegal results
+// in the move history. None of them peek at the hidden rules.
+
+import { findConsistentRuleSets, getLegalityOdds } from './deduction.js';
+import { DEFAULT_TOPOLOGY, getTopology, getCells } from './topology.js';
+
+export const AI_LEVELS = {
+  random: { name: 'Random', description: 'Probes the board at random' },
+  heuristic: { name: 'Heuristic', description: 'Imitates moves that worked before' },
+  strong: { name: 'Strong', description: 'Deduces which hidden rules are possible' },
+};
+
+const pickRandom = (items, random) => items[Math.floor(random() * items.length)];
+
+const getEmptyCells = (board, topology) =>
+  getCells(board.length, topology).filter(([row, col]) => board[row][col] === null);
+
+// Pick the highest scoring move, breaking ties at random
+const pickBest = (moves, random) => {
+  const best = Math.max(...moves.map(move => move.score));
+  return pickRandom(moves.filter(move => move.score >= best - 1e-9), random);
+};
+
+// Simple features a human might notice about a move
+const describeMove = (row, col, orientation, board, topology) => {
+  const size = board.length;
+  const center = Math.floor(size / 2);
+  const touching = getTopology(topology).getNeighbors(row, col, size)
+    .some(([r, c]) => board[r][c] !== null);
+  return [
+    `row-parity:${row % 2}`,
+    `col-parity:${col % 2}`,
+    `sum-parity:${(row + col) % 2}`,
+    `vertical:${Math.sign(row - center)}`,
+    `horizontal:${Math.sign(col - center)}`,
+    `edge:${getTopology(topology).isEdge(row, col, size)}`,
+    `orientation:${orientation}`,
+    `touching:${touching}`,
+  ];
+};
+
+const chooseRandomMove = ({ board, topology, random }) => {
+  const [row, col] = pickRandom(getEmptyCells(board, topology), random);
+  const orientation = Math.floor(random() * getTopology(topology).orientationNames.length);
+  return { row, col, orientation };
+};
+
+// Score each move by how many features it shares with accepted moves minus rejected ones
+const chooseHeuristicMove = ({ board, moveHistory, topology, random }) => {
+  const featureScores = new Map();
+  for (const move of moveHistory) {
+    for (const feature of describeMove(move.row, move.col, move.orientation, move.board, topology)) {
+      featureScores.set(feature, (featureScores.get(feature) ?? 0) + (move.legal ? 1 : -1));
+    }
+  }
+
+  // Never retry the exact placement that was just rejected from this same board
+  const rejected = new Set(moveHistory
+    .filter(move => !move.legal && move.board === board)
+    .map(move => `${move.row},${move.col},${move.orientation}`));
+
+  const orientationCount = getTopology(topology).orientationNames.length;
+  const moves = getEmptyCells(board, topology).flatMap(([row, col]) =>
+    Array.from({ length: orientationCount }, (_, orientation) => ({
+      row,
+      col,
+      orientation,
+      score: describeMove(row, col, orientation, board, topology)
+        .reduce((total, feature) => total + (featureScores.get(feature) ?? 0), 0),
+    }))
+  ).filter(move => !rejected.has(`${move.row},${move.col},${move.orientation}`));
+
+  return pickBest(moves, random);
+};
+
+// Binary entropy - how much a result would teach us (1 bit at even odds)
+const entropy = (p) => (p <= 0 || p >= 1 ? 0 : -(p * Math.log2(p) + (1 - p) * Math.log2(1 - p)));
+
+// Play the move most likely to be legal under every rule set still consistent with
+// the results; between equally safe moves prefer the one that teaches the most
+// (this runs on the main thread every turn - the candidates carry on from the last
+// turn and the odds come from a bounded sample of them, so it stays quick)
+const chooseStrongMove = ({ board, moveHistory, topology, random, player }) => {
+  const candidates = findConsistentRuleSets(moveHistory, { size: board.length, topology });
+  if (candidates.length === 0) return chooseHeuristicMove({ board, moveHistory, topology, random });
+
+  const orientationCount = getTopology(topology).orientationNames.length;
+  const moves = [];
+  for (let orientation = 0; orientation < orientationCount; orientation++) {
+    const odds = getLegalityOdds(candidates, board, orientation, topology, moveHistory, player);
+    for (const [row, col] of getEmptyCells(board, topology)) {
+      const chance = odds[row][col];
+      moves.push({ row, col, orientation, score: chance + entropy(chance) * 0.01 });
+    }
+  }
+
+  return pickBest(moves, random);
+};
+
+const STRATEGIES = {
+  random: chooseRandomMove,
+  heuristic: chooseHeuristicMove,
+  strong: chooseStrongMove,
+};
+
+// Choose the computer's next placement as { row, col, orientation }
+export const chooseMove = (level, { board, moveHistory, topology = DEFAULT_TOPOLOGY, random = Math.random, player = 1 }) => {
+  const strategy = STRATEGIES[level];
+  if (!strategy) throw new Error(`Unknown computer level: ${level}`);
+  const { row, col, orientation } = strategy({ board, moveHistory, topology, random, player });
+  return { row, col, orientation };
+};
@@ -0,0 +1,44 @@
+// Attempts - where moves have been tried so far, for the ghost and heatmap overlays
+// Both are built from the move history, optionally just one player's moves.
+
+// Moves made by this player (null for everyone)
+const byPlayer = (moveHistory, player) =>
+  player === null ? moveHistory : moveHistory.filter(move => (move.player ?? 1) === player);
+
+// Rejected attempts as one entry per cell, latest first:
+// { row, col, orientation (of the latest), orientations (every one rejected there), count }
+export const getRejectedAttempts = (moveHistory, { player = null } = {}) => {
+  const byCell = new Map();
+  for (const move of byPlayer(moveHistory, player).filter(move => !move.legal).reverse()) {
+    const key = `${move.row},${move.col}`;
+    const seen = byCell.get(key);
+    if (!seen) {
+      byCell.set(key, { row: move.row, col: move.col, orientation: move.orientation, orientations: [move.orientation], count: 1 });
+      continue;
+    }
+    seen.count++;
+    if (!seen.orientations.includes(move.orientation)) seen.orientations.push(move.orientation);
+  }
+  return [...byCell.values()];
+};
+
+// Size×size grid of attempt counts, null where nothing was tried. Each cell is
+// { legal, illegal, byOrientation: [{ legal, illegal } for each orientation] }.
+export const getAttemptHeatmap = (moveHistory, size, orientationCount, { player = null } = {}) => {
+  const heatmap = Array.from({ length: size }, () => Array(size).fill(null));
+  for (const move of byPlayer(moveHistory, player)) {
+    heatmap[move.row][move.col] ??= {
+      legal: 0,
+      illegal: 0,
+      byOrientation: Array.from({ length: orientationCount }, () => ({ legal: 0, illegal: 0 })),
+    };
+    const result = move.legal ? 'legal' : 'illegal';
+    heatmap[move.row][move.col][result]++;
+    heatmap[move.row][move.col].byOrientation[move.orientation][result]++;
+  }
+  return heatmap;
+};
+
+// Most attempts made on any one cell (for scaling the heatmap)
+export const getMaxAttempts = (heatmap) =>
+  Math.max(0, ...heatmap.flat().filter(Boolean).map(cell => cell.legal + cell.illegal));
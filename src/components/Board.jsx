@@ -1,43 +1,207 @@
+import { useState, useEffect, useRef } from 'react';
 import YinYangPiece from './YinYangPiece';
-import { BOARD_SIZE } from '../rules';
+import { formatCoordinate } from '../rules';
+import { NOTE_MARKS } from '../notes';
+import { getMaxAttempts } from '../attempts';
+import { getTopology, getCells, isStarPoint } from '../topology';
+
+// Larger boards use smaller intersections so they still fit on screen
+const getCellSize = (size) => (size <= 9 ? 44 : size <= 13 ? 36 : 28);
+
+// Vertical distance between hex rows, in cells
+const HEX_ROW_HEIGHT = Math.sqrt(3) / 2;
+
+// Hex cell position in cells - each row is shifted half a cell from the one above
+const getHexPosition = (row, col, size) => ({
+  x: col + (row - Math.floor(size / 2)) / 2,
+  y: row * HEX_ROW_HEIGHT,
+});
+
+// Horizontal position of a cell, in cells, for moving the keyboard cursor between rows
+const getColumnPosition = (row, col, size, isHex) => (isHex ? getHexPosition(row, col, size).x : col);
+
+const scaled = (cells) => `calc(var(--cell-size) * var(--cell-scale, 1) * ${cells})`;
 
 const Board = ({
-  board, // 2D array of placed pieces: null or { orientation: number }
+  board, // 2D array of placed pieces: null or { orientation: number, player: number }
   onCellClick,
   previewOrientation,
   lastMove, // { row, col, result: 'valid'|'invalid' }
   disabled = false,
   pendingPlacement = null, // { row, col, orientation }
+  topology = 'square', // 'square' or 'hex'
+  legalityOdds = null, // optional grid of 0-1 chances that a move would be legal
+  counterexample = null, // { row, col, orientation, legal } shown after a wrong declaration
+  showOwners = false, // Mark which player placed each stone (duels)
+  hintCell = null, // { row, col, orientation, legal } pointed out by a hint
+  notes = [], // Player's own marks: [{ row, col, orientation (null for the whole point), mark }]
+  noteMode = false, // Clicks mark points instead of placing stones
+  rejectedAttempts = [], // Ghosts of rejected moves: [{ row, col, orientation, orientations, count }]
+  heatmap = null, // optional grid of attempt counts (see attempts.js)
 }) => {
-  const renderCell = (row, col) => {
+  const size = board.length;
+  const cellSize = getCellSize(size);
+  const pieceSize = cellSize - 8;
+  const { isOnBoard, getAngle, orientationNames } = getTopology(topology);
+  const isHex = topology === 'hex';
+  const maxAttempts = heatmap ? getMaxAttempts(heatmap) : 0;
+
+  // Keyboard cursor - the one cell in the tab order (starts in the middle of the board)
+  const [cursor, setCursor] = useState(null);
+  const middle = Math.floor(size / 2);
+  const [cursorRow, cursorCol] = cursor && isOnBoard(cursor[0], cursor[1], size) ? cursor : [middle, middle];
+  const boardRef = useRef(null);
+
+  // Keep focus on the cursor as it moves (only while the board has focus)
+  useEffect(() => {
+    const boardElement = boardRef.current;
+    if (!boardElement?.contains(document.activeElement)) return;
+    boardElement.querySelector(`[data-cell="${cursorRow}-${cursorCol}"]`)?.focus();
+  }, [cursorRow, cursorCol]);
+
+  // Nearest cell in another row, so Up and Down follow the hex board's slant
+  const closestInRow = (row, x) => {
+    let best = null;
+    for (let col = 0; col < size; col++) {
+      if (!isOnBoard(row, col, size)) continue;
+      const distance = Math.abs(getColumnPosition(row, col, size, isHex) - x);
+      if (best === null || distance < best.distance) best = { col, distance };
+    }
+    return best && [row, best.col];
+  };
+
+  const handleKeyDown = (e) => {
+    const x = getColumnPosition(cursorRow, cursorCol, size, isHex);
+    const rowCells = Array.from({ length: size }, (_, col) => col).filter(col => isOnBoard(cursorRow, col, size));
+    const moves = {
+      ArrowUp: () => cursorRow > 0 && closestInRow(cursorRow - 1, x),
+      ArrowDown: () => cursorRow < size - 1 && closestInRow(cursorRow + 1, x),
+      ArrowLeft: () => isOnBoard(cursorRow, cursorCol - 1, size) && [cursorRow, cursorCol - 1],
+      ArrowRight: () => isOnBoard(cursorRow, cursorCol + 1, size) && [cursorRow, cursorCol + 1],
+      Home: () => [cursorRow, rowCells[0]],
+      End: () => [cursorRow, rowCells.at(-1)],
+    };
+
+    if (moves[e.key]) {
+      e.preventDefault();
+      const next = moves[e.key]();
+      if (next) setCursor(next);
+      return;
+    }
+
+    // Enter or Space selects the cell (Enter again confirms, handled by the game)
+    if (e.key === 'Enter' || e.key === ' ') {
+      if (e.key === ' ') e.preventDefault();
+      if (!disabled && !board[cursorRow][cursorCol]) onCellClick(cursorRow, cursorCol);
+    }
+  };
+
+  // What a screen reader says for a cell, e.g. "E5, empty" or "C3, stone pointing West"
+  const describeCell = (row, col) => {
+    const coordinate = formatCoordinate(row, col, size);
+    const piece = board[row][col];
+    if (pendingPlacement && pendingPlacement.row === row && pendingPlacement.col === col) {
+      return `${coordinate}, placing a stone pointing ${orientationNames[pendingPlacement.orientation]}`;
+    }
+    if (piece) {
+      const owner = showOwners ? `Player ${piece.player ?? 1} ` : '';
+      return `${coordinate}, ${owner}stone pointing ${orientationNames[piece.orientation]}`;
+    }
+
+    const details = notes
+      .filter(note => note.row === row && note.col === col)
+      .map(({ orientation, mark }) =>
+        `noted ${NOTE_MARKS[mark].label.toLowerCase()}${orientation === null ? '' : ` pointing ${orientationNames[orientation]}`}`);
+    const rejected = rejectedAttempts.find(attempt => attempt.row === row && attempt.col === col);
+    if (rejected) details.push(`rejected ${rejected.count === 1 ? 'once' : `${rejected.count} times`}`);
+    return [`${coordinate}, empty`, ...details].join(', ');
+  };
+
+  const renderCell = (row, col, style) => {
     const piece = board[row][col];
     const isLastMove = lastMove && lastMove.row === row && lastMove.col === col;
     const result = isLastMove ? lastMove.result : null;
     const isPending = pendingPlacement && pendingPlacement.row === row && pendingPlacement.col === col;
+    const isCounterexample = counterexample && counterexample.row === row && counterexample.col === col;
+    const isHintCell = hintCell && hintCell.row === row && hintCell.col === col;
+    const cellNotes = piece ? [] : notes.filter(note => note.row === row && note.col === col);
+    const rejected = piece ? null : rejectedAttempts.find(attempt => attempt.row === row && attempt.col === col);
+    const heat = heatmap?.[row][col] ?? null;
+
+    const isCursor = row === cursorRow && col === cursorCol;
 
     return (
       <div
         key={`${row}-${col}`}
         className={`board-cell ${piece ? 'occupied' : 'empty'} ${disabled ? 'disabled' : ''} ${isPending ? 'pending' : ''}`}
-        onClick={() => !disabled && !piece && onCellClick(row, col)}
+        style={style}
+        role="gridcell"
+        data-cell={`${row}-${col}`}
+        tabIndex={isCursor ? 0 : -1}
+        aria-label={describeCell(row, col)}
+        aria-selected={!!isPending}
+        aria-disabled={disabled || !!piece}
+        onClick={() => {
+          setCursor([row, col]);
+          if (!disabled && !piece) onCellClick(row, col);
+        }}
       >
-        {/* Grid intersection point */}
+        {/* Grid intersection point (hex grid lines are drawn separately) */}
         <div className="intersection">
-          {/* Horizontal line */}
-          <div className={`line horizontal ${col === 0 ? 'left-edge' : ''} ${col === BOARD_SIZE - 1 ? 'right-edge' : ''}`} />
-          {/* Vertical line */}
-          <div className={`line vertical ${row === 0 ? 'top-edge' : ''} ${row === BOARD_SIZE - 1 ? 'bottom-edge' : ''}`} />
+          {!isHex && (
+            <>
+              {/* Horizontal line */}
+              <div className={`line horizontal ${col === 0 ? 'left-edge' : ''} ${col === size - 1 ? 'right-edge' : ''}`} />
+              {/* Vertical line */}
+              <div className={`line vertical ${row === 0 ? 'top-edge' : ''} ${row === size - 1 ? 'bottom-edge' : ''}`} />
+            </>
+          )}
           {/* Star point marker */}
-          {isStarPoint(row, col) && <div className="star-point" />}
+          {isStarPoint(row, col, size, topology) && <div className="star-point" />}
         </div>
 
+        {/* Heatmap: how often moves here were tried, how many succeeded, and in which directions */}
+        {heat && (
+          <div
+            className="heat-cell"
+            style={{ '--heat': (heat.legal + heat.illegal) / maxAttempts, '--success': heat.legal / (heat.legal + heat.illegal) }}
+            title={`${heat.legal} accepted, ${heat.illegal} rejected`}
+          >
+            {heat.byOrientation.map((counts, o) => (counts.legal + counts.illegal > 0 && (
+              <span
+                key={o}
+                className={`heat-tick ${counts.illegal === 0 ? 'legal' : counts.legal === 0 ? 'illegal' : 'mixed'}`}
+                style={{ '--tick-angle': `${getAngle(o)}deg` }}
+              />
+            )))}
+          </div>
+        )}
+
+        {/* Ghost of the latest rejected attempt here */}
+        {rejected && !isPending && (
+          <div
+            className="ghost-attempt"
+            title={`Rejected ${rejected.count}× pointing ${rejected.orientations.map(o => orientationNames[o]).join(', ')}`}
+          >
+            <YinYangPiece
+              orientation={rejected.orientation}
+              topology={topology}
+              size={pieceSize}
+              className="ghost-piece"
+            />
+            {rejected.count > 1 && <span className="ghost-count">{rejected.count}</span>}
+          </div>
+        )}
+
         {/* Placed piece */}
         {piece && (
           <YinYangPiece
             orientation={piece.orientation}
-            size={36}
+            topology={topology}
+            size={pieceSize}
             placed={true}
             result={result}
+            className={showOwners ? `owner-${piece.player ?? 1}` : ''}
           />
         )}
 
@@ -45,39 +209,137 @@ const Board = ({
         {isPending && (
           <YinYangPiece
             orientation={pendingPlacement.orientation}
-            size={36}
+            topology={topology}
+            size={pieceSize}
             className="pending-piece"
           />
         )}
 
-        {/* Hover preview for empty cells (only when not in pending mode) */}
-        {!piece && !disabled && !pendingPlacement && (
+        {/* Counterexample to a wrong declaration */}
+        {isCounterexample && !piece && !isPending && (
+          <YinYangPiece
+            orientation={counterexample.orientation}
+            topology={topology}
+            size={pieceSize}
+            className="counterexample-piece"
+            result={counterexample.legal ? 'valid' : 'invalid'}
+          />
+        )}
+
+        {/* Move pointed out by a hint */}
+        {isHintCell && !piece && !isPending && !isCounterexample && (
+          <YinYangPiece
+            orientation={hintCell.orientation}
+            topology={topology}
+            size={pieceSize}
+            className="hint-piece"
+            result={hintCell.legal ? 'valid' : 'invalid'}
+          />
+        )}
+
+        {/* Deduction overlay: chance that this move would be legal */}
+        {legalityOdds && legalityOdds[row][col] !== null && !isPending && (
+          <div
+            className="odds-marker"
+            style={{ '--odds': legalityOdds[row][col] }}
+            title={`${Math.round(legalityOdds[row][col] * 100)}% likely legal`}
+          />
+        )}
+
+        {/* Player's notes - whole-point marks in the middle, orientation marks toward their direction */}
+        {cellNotes.map(({ orientation, mark }) => (
+          <span
+            key={orientation ?? 'point'}
+            className={`note-marker ${mark} ${orientation === null ? '' : 'directed'}`}
+            style={orientation === null ? undefined : { '--note-angle': `${getAngle(orientation)}deg` }}
+            title={`${NOTE_MARKS[mark].label}${orientation === null ? '' : ` pointing ${orientationNames[orientation]}`}`}
+          >
+            {NOTE_MARKS[mark].symbol}
+          </span>
+        ))}
+
+        {/* Hover preview for empty cells (only when not in pending or note mode) */}
+        {!piece && !disabled && !pendingPlacement && !noteMode && (
           <div className="hover-preview">
             <YinYangPiece
               orientation={previewOrientation}
-              size={36}
+              topology={topology}
+              size={pieceSize}
               className="preview"
             />
           </div>
         )}
 
-        {/* Coordinate labels */}
-        {col === 0 && (
-          <span className="coord-label row-label">{BOARD_SIZE - row}</span>
+        {/* Coordinate labels (on the first cell of each row and last cell of each column) */}
+        {!isOnBoard(row, col - 1, size) && (
+          <span className="coord-label row-label">{size - row}</span>
         )}
-        {row === BOARD_SIZE - 1 && (
-          <span className="coord-label col-label">{String.fromCharCode(65 + col)}</span>
+        {!isOnBoard(row + 1, col, size) && (
+          <span className="coord-label col-label">{formatCoordinate(row, col, size).charAt(0)}</span>
         )}
       </div>
     );
   };
 
+  if (isHex) {
+    const cells = getCells(size, topology);
+    const height = (size - 1) * HEX_ROW_HEIGHT + 1;
+
+    // Each line joins a cell to its East, Southeast and Southwest neighbors
+    const lines = cells.flatMap(([row, col]) =>
+      [[0, 1], [1, 0], [1, -1]]
+        .filter(([dRow, dCol]) => isOnBoard(row + dRow, col + dCol, size))
+        .map(([dRow, dCol]) => [getHexPosition(row, col, size), getHexPosition(row + dRow, col + dCol, size)])
+    );
+
+    return (
+      <div className="board-container">
+        <div
+          ref={boardRef}
+          className="board hex"
+          style={{ '--cell-size': `${cellSize}px`, width: scaled(size), height: scaled(height) }}
+          role="grid"
+          aria-label="Board"
+          onKeyDown={handleKeyDown}
+        >
+          <svg className="hex-lines" viewBox={`0 0 ${size} ${height}`} aria-hidden="true">
+            {lines.map(([from, to], i) => (
+              <line
+                key={i}
+                x1={from.x + 0.5}
+                y1={from.y + 0.5}
+                x2={to.x + 0.5}
+                y2={to.y + 0.5}
+              />
+            ))}
+          </svg>
+          {/* Rows only group the cells for screen readers - each cell is placed absolutely */}
+          {Array(size).fill(null).map((_, row) => (
+            <div key={row} className="board-row" role="row">
+              {cells.filter(([cellRow]) => cellRow === row).map(([, col]) => {
+                const { x, y } = getHexPosition(row, col, size);
+                return renderCell(row, col, { position: 'absolute', left: scaled(x), top: scaled(y) });
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="board-container">
-      <div className="board">
-        {Array(BOARD_SIZE).fill(null).map((_, row) => (
-          <div key={row} className="board-row">
-            {Array(BOARD_SIZE).fill(null).map((_, col) => renderCell(row, col))}
+      <div
+        ref={boardRef}
+        className="board"
+        style={{ '--cell-size': `${cellSize}px` }}
+        role="grid"
+        aria-label="Board"
+        onKeyDown={handleKeyDown}
+      >
+        {Array(size).fill(null).map((_, row) => (
+          <div key={row} className="board-row" role="row">
+            {Array(size).fill(null).map((_, col) => renderCell(row, col))}
           </div>
         ))}
       </div>
@@ -85,14 +347,4 @@ const Board = ({
   );
 };
 
-// Traditional Go star points for 9x9 board
-const isStarPoint = (row, col) => {
-  const starPoints = [
-    [2, 2], [2, 6],
-    [4, 4], // tengen (center)
-    [6, 2], [6, 6],
-  ];
-  return starPoints.some(([r, c]) => r === row && c === col);
-};
-
 export default Board;
@@ -0,0 +1,56 @@
+import { useState } from 'react';
+import { MAX_HIDDEN_RULES } from '../rules';
+import { DECLARATION_PENALTY } from '../declaration';
+
+// Pick the rules you believe are hidden from the catalog and declare them
+const DeclarationModal = ({ catalog, onDeclare, onCancel }) => {
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const toggleRule = (id) => {
+    setSelectedIds(prev => {
+      if (prev.includes(id)) return prev.filter(other => other !== id);
+      if (prev.length >= MAX_HIDDEN_RULES) return prev;
+      return [...prev, id];
+    });
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal declaration-modal">
+        <h2>Declare the Rules</h2>
+        <p className="declaration-intro">
+          Choose up to {MAX_HIDDEN_RULES} rules. A declaration that allows exactly the same
+          moves as the hidden rules wins the game; a wrong one costs {DECLARATION_PENALTY} moves.
+        </p>
+
+        <ul className="rule-catalog">
+          {catalog.map(rule => (
+            <li key={rule.id} className={selectedIds.includes(rule.id) ? 'selected' : ''}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(rule.id)}
+                  onChange={() => toggleRule(rule.id)}
+                  disabled={!selectedIds.includes(rule.id) && selectedIds.length >= MAX_HIDDEN_RULES}
+                />
+                <span>
+                  <strong>{rule.name}</strong>
+                  <small>{rule.description}</small>
+                </span>
+              </label>
+            </li>
+          ))}
+        </ul>
+
+        <div className="modal-actions">
+          <button onClick={() => onDeclare(selectedIds)} disabled={selectedIds.length === 0}>
+            Declare
+          </button>
+          <button onClick={onCancel}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeclarationModal;
@@ -0,0 +1,26 @@
+// Optional training aid: how many hidden rule sets are still consistent with the moves so far
+
+const DeductionPanel = ({ candidateCount, showOdds, onToggleOdds }) => {
+  const getVerdict = () => {
+    if (candidateCount === 0) return 'No known rule set explains these results.';
+    if (candidateCount === 1) return 'Only one rule set remains — the puzzle is solved in principle.';
+    return 'Keep experimenting to narrow them down.';
+  };
+
+  return (
+    <div className="deduction-panel">
+      <h4>Deduction</h4>
+      <div className="candidate-count">
+        <span className="count">{candidateCount.toLocaleString()}</span>
+        <span className="label">candidate rule {candidateCount === 1 ? 'set' : 'sets'}</span>
+      </div>
+      <p>{getVerdict()}</p>
+      <label className="odds-toggle">
+        <input type="checkbox" checked={showOdds} onChange={onToggleOdds} />
+        Show legality odds on the board
+      </label>
+    </div>
+  );
+};
+
+export default DeductionPanel;
@@ -1,59 +1,348 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useReducer, useRef } from 'react';
 import Board from './Board';
+import DeductionPanel from './DeductionPanel';
+import DeclarationModal from './DeclarationModal';
 import YinYangPiece, { PlacementPreview } from './YinYangPiece';
-import { BOARD_SIZE, selectRules, isMoveLegal, getHint } from '../rules';
+import {
+  BOARD_SIZE,
+  MAX_HINT_LEVEL,
+  getRulesByIds,
+  getRuleCatalog,
+  getInitialStones,
+  formatCoordinate,
+} from '../rules';
+import { getTopology } from '../topology';
+import { createGame, getPosition, gameReducer, canMove } from '../engine';
+import { NOTE_MARKS, getNoteKey, cycleNote, listNotes } from '../notes';
+import { getRejectedAttempts, getAttemptHeatmap } from '../attempts';
+import { encodePuzzle, getPuzzleUrl } from '../puzzleCode';
+import { buildResultCard, saveDailyResult } from '../daily';
+import { findConsistentRuleSets, getLegalityOdds } from '../deduction';
+import { AI_LEVELS, chooseMove } from '../ai';
+import { DECLARATION_PENALTY } from '../declaration';
+import { DEFAULT_DIFFICULTY, selectRulesForDifficulty } from '../difficulty';
+import { formatGameRecord, downloadGameRecord, rebuildBoards } from '../gameRecord';
+import { connectOnline } from '../onlineClient';
+import { createSaveId, saveGame, deleteSavedGame } from '../savedGames';
+import { summarizeGame, recordFinishedGame } from '../statistics';
+import { PLAY_STYLES, DEFAULT_PLAY_STYLE, getTimeline, travelTo, findStop } from '../timeTravel';
+
+// Pause before each step of the computer's turn (choosing, then confirming)
+const COMPUTER_DELAY = 700;
+
+const Game = ({
+  mode = 'solo',
+  boardSize = BOARD_SIZE,
+  topology = 'square',
+  opponent = 'human', // Duel mode Player 2: 'human' or a computer level from AI_LEVELS
+  difficulty = DEFAULT_DIFFICULTY, // Level from DIFFICULTY_LEVELS for newly chosen rules
+  puzzle = null,
+  playStyle = DEFAULT_PLAY_STYLE, // 'practice' allows undo, 'ranked' does not
+  saved = null, // A saved game to continue (see savedGames.js)
+  online = null, // Online duel: { url, join, onSettings } (see onlineClient.js)
+  captures = false, // Duel variant: groups left without liberties are taken off the board
+  onExit,
+}) => {
+  const initialStones = getInitialStones(boardSize, topology);
+  const { orientationNames } = getTopology(topology);
+  const orientationCount = orientationNames.length;
+
+  // Game state - stones, turns, results and hints are all played out by the engine
+  const [game, dispatch] = useReducer(gameReducer, null, () => {
+    const fresh = createGame({ mode, size: boardSize, topology, captures });
+    if (!saved) return fresh;
+    const {
+      board, currentPlayer, player1Stones, player2Stones, player1Moves, player2Moves,
+      moveHistory, counterexample, hintLevel, currentHint,
+    } = saved;
+    return {
+      ...fresh,
+      board, currentPlayer, player1Stones, player2Stones, player1Moves, player2Moves,
+      moveHistory, counterexample, hintLevel, currentHint,
+    };
+  });
+  const {
+    board, rules, currentPlayer, player1Stones, player2Stones, player1Moves, player2Moves,
+    gameOver, winner, hintLevel, currentHint, moveHistory, declaredBy, declarationBonus, counterexample,
+  } = game;
+  const [orientation, setOrientation] = useState(saved?.orientation ?? 0); // Current piece orientation
+  const [showResult, setShowResult] = useState(false); // Briefly mark the latest move legal or illegal
 
-const INITIAL_STONES = 15;
+  // Pending placement for mobile UI
+  const [pendingPlacement, setPendingPlacement] = useState(null); // { row, col, orientation }
 
-const createEmptyBoard = () =>
-  Array(BOARD_SIZE).fill(null).map(() => Array(BOARD_SIZE).fill(null));
+  const [showRules, setShowRules] = useState(false);
 
-const Game = ({ mode = 'solo', onExit }) => {
-  // Game state
-  const [board, setBoard] = useState(createEmptyBoard());
-  const [rules, setRules] = useState([]);
-  const [orientation, setOrientation] = useState(0); // Current piece orientation
-  const [lastMove, setLastMove] = useState(null);
+  // Declaring the rules (a correct declaration wins, a wrong one shows a counterexample)
+  const [showDeclaration, setShowDeclaration] = useState(false);
+
+  // Undo/redo - snapshots of the game before each turn and of the turns undone
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+  const [undosUsed, setUndosUsed] = useState(saved?.undosUsed ?? 0);
+  const [viewIndex, setViewIndex] = useState(null); // Timeline position being viewed (null = the present)
+
+  // Player notes - each player's own marks on points they suspect are legal or illegal
+  const [notes, setNotes] = useState(saved?.notes ?? { 1: {}, 2: {} });
+  const [noteMode, setNoteMode] = useState(false); // Clicks mark points instead of placing stones
+  const [showNotes, setShowNotes] = useState(true);
+  const [noteOrientation, setNoteOrientation] = useState(false); // Mark only the current orientation
+
+  // Overlays of every attempt so far, optionally one player's only (null = everyone)
+  const [showGhosts, setShowGhosts] = useState(false);
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [attemptsPlayer, setAttemptsPlayer] = useState(null);
+
+  // Online duels - the server holds the rules, so this client only learns results
+  const [onlinePlayer, setOnlinePlayer] = useState(null); // Seat this client plays (1 or 2)
+  const [onlineRoom, setOnlineRoom] = useState(null);
+  const [onlineStatus, setOnlineStatus] = useState(null); // 'connecting', 'connected' or 'reconnecting'
+  const [onlineSeats, setOnlineSeats] = useState({ seated: [false, false], connected: [false, false] });
+  const [onlineError, setOnlineError] = useState(null);
+  const [onlineStuck, setOnlineStuck] = useState(false);
+  const connectionRef = useRef(null);
+
+  const isOpponentTurn = online !== null && (currentPlayer !== onlinePlayer || !onlineSeats.seated.every(Boolean));
+
+  // Whose notes are shown: this client's seat online, whoever's turn it is in a hot-seat duel
+  const notePlayer = online
+    ? onlinePlayer ?? 1
+    : mode === 'duel' && opponent === 'human' ? currentPlayer : 1;
+
+  // Online games are ranked - the other player can't take back a result
+  const { undoLimit } = PLAY_STYLES[online ? 'ranked' : playStyle];
+  const canUndo = undosUsed < undoLimit;
+
+  const isComputerTurnIn = (state) =>
+    mode === 'duel' && opponent !== 'human' && state.currentPlayer === 2 && !state.gameOver;
+  const isComputerTurn = isComputerTurnIn({ currentPlayer, gameOver });
+  const player2Name = opponent === 'human' || online ? 'Player 2' : `Computer (${AI_LEVELS[opponent].name})`;
+
+  // Shareable link for the current puzzle
+  const [shareLink, setShareLink] = useState(null);
+  const [shareCopied, setShareCopied] = useState(false);
+
+  // Deduction panel (which rule sets are still consistent with the results)
+  const [showDeduction, setShowDeduction] = useState(false);
+  const [showOdds, setShowOdds] = useState(false);
+
+  const candidates = useMemo(
+    () => (showDeduction ? findConsistentRuleSets(moveHistory, { size: boardSize, topology }) : []),
+    [showDeduction, moveHistory, boardSize, topology]
+  );
 
-  // Pending placement for mobile UI
-  const [pendingPlacement, setPendingPlacement] = useState(null); // { row, col, orientation }
+  const legalityOdds = useMemo(
+    () => (showDeduction && showOdds
+      ? getLegalityOdds(candidates, board, orientation, topology, moveHistory, currentPlayer)
+      : null),
+    [showDeduction, showOdds, candidates, board, orientation, topology, moveHistory, currentPlayer]
+  );
 
-  // Player state
-  const [currentPlayer, setCurrentPlayer] = useState(1); // 1 or 2
-  const [player1Stones, setPlayer1Stones] = useState(INITIAL_STONES);
-  const [player2Stones, setPlayer2Stones] = useState(INITIAL_STONES);
-  const [player1Moves, setPlayer1Moves] = useState(0);
-  const [player2Moves, setPlayer2Moves] = useState(0);
+  const present = getPosition(game);
+  const timeline = getTimeline({ past, present, future });
+  const viewed = viewIndex === null ? present : timeline[viewIndex];
 
-  // Game progress
-  const [gameOver, setGameOver] = useState(false);
-  const [winner, setWinner] = useState(null);
-  const [showRules, setShowRules] = useState(false);
-  const [hintLevel, setHintLevel] = useState(0);
-  const [currentHint, setCurrentHint] = useState(null);
+  // Genuinely stuck - no legal placement is left for anyone (online only the server can tell)
+  const noLegalMoves = useMemo(
+    () => !online && !canMove({ mode, rules, board, topology, moveHistory, currentPlayer }),
+    [online, mode, rules, board, topology, moveHistory, currentPlayer]
+  );
+  const stuck = !gameOver && (online ? onlineStuck : noLegalMoves);
+
+  // Attempt overlays follow whichever position is being viewed
+  const rejectedAttempts = useMemo(
+    () => (showGhosts ? getRejectedAttempts(viewed.moveHistory, { player: attemptsPlayer }) : []),
+    [showGhosts, viewed.moveHistory, attemptsPlayer]
+  );
+  const attemptHeatmap = useMemo(
+    () => (showHeatmap
+      ? getAttemptHeatmap(viewed.moveHistory, boardSize, orientationCount, { player: attemptsPlayer })
+      : null),
+    [showHeatmap, viewed.moveHistory, boardSize, orientationCount, attemptsPlayer]
+  );
+
+  // Daily puzzle date (cleared when starting a new random game)
+  const [dailyKey, setDailyKey] = useState(puzzle?.dailyKey ?? null);
+  const [resultCopied, setResultCopied] = useState(false);
+  const [recordCopied, setRecordCopied] = useState(false);
 
-  // Move history for feedback
-  const [moveHistory, setMoveHistory] = useState([]);
+  // Save slot this game is autosaved into
+  const [saveId, setSaveId] = useState(() => saved?.id ?? createSaveId());
 
-  // Initialize game
+  // Initialize game (shared puzzles start with their encoded rules)
   useEffect(() => {
-    const selectedRules = selectRules(0.25, 0.5);
-    setRules(selectedRules);
-    console.log('Hidden rules:', selectedRules.map(r => r.name)); // Debug only
-  }, []);
+    if (online) return; // The server picks the rules
+    const selectedRules = puzzle
+      ? getRulesByIds(puzzle.ruleIds, boardSize, topology)
+      : selectRulesForDifficulty(difficulty, { size: boardSize, topology, players: mode === 'duel' ? 2 : 1, captures });
+    dispatch({ type: 'load', rules: selectedRules });
+  }, [puzzle, boardSize, topology, difficulty, mode, captures, online]);
+
+  // Online duel connection - every change to the game arrives as a new server state
+  useEffect(() => {
+    if (!online) return;
+    let knownMoves = null;
+
+    const applyState = (state) => {
+      online.onSettings?.(state.boardSize, state.topology);
+      dispatch({
+        type: 'load',
+        size: state.boardSize,
+        topology: state.topology,
+        board: state.board,
+        currentPlayer: state.currentPlayer,
+        player1Stones: state.stones[0],
+        player2Stones: state.stones[1],
+        player1Moves: state.moves[0],
+        player2Moves: state.moves[1],
+        moveHistory: rebuildBoards(state.moveHistory, state.boardSize, { topology: state.topology }),
+        counterexample: state.counterexample,
+        declaredBy: state.declaredBy,
+        declarationBonus: state.declarationBonus,
+        winner: state.winner,
+        gameOver: state.gameOver,
+        ...(state.ruleIds && { rules: getRulesByIds(state.ruleIds, state.boardSize, state.topology) }),
+      });
+      setOnlineSeats({ seated: state.seated, connected: state.connected });
+      setOnlineStuck(state.stuck);
+
+      // Show the result of each new move, whoever played it
+      if (knownMoves !== null && state.moveHistory.length > knownMoves) {
+        setShowResult(true);
+        setTimeout(() => setShowResult(false), 1000);
+      }
+      knownMoves = state.moveHistory.length;
+    };
+
+    const connection = connectOnline({
+      url: online.url,
+      join: online.join,
+      onStatus: setOnlineStatus,
+      onMessage: (message) => {
+        if (message.type === 'joined') {
+          setOnlinePlayer(message.player);
+          setOnlineRoom(message.room);
+          setOnlineError(null);
+        } else if (message.type === 'state') {
+          applyState(message.state);
+        } else if (message.type === 'hint') {
+          dispatch({ type: 'load', hintLevel: message.level, currentHint: message.hint });
+        } else if (message.type === 'error') {
+          setOnlineError(message.message);
+        }
+      },
+    });
+    connectionRef.current = connection;
+    return () => connection.close();
+  }, [online]);
+
+  // Remember that today's daily puzzle has been played
+  useEffect(() => {
+    if (gameOver && dailyKey && winner) {
+      saveDailyResult(dailyKey, {
+        moves: player1Moves,
+        card: buildResultCard(dailyKey, moveHistory),
+      });
+    }
+  }, [gameOver, dailyKey, winner, player1Moves, moveHistory]);
+
+  // Keep finished games for the Statistics screen
+  useEffect(() => {
+    if (!gameOver) return;
+    recordFinishedGame(summarizeGame({
+      id: saveId,
+      mode,
+      boardSize,
+      topology,
+      opponent,
+      dailyKey,
+      ruleIds: rules.map(rule => rule.id),
+      moveHistory,
+      moves: player1Moves,
+      hintLevel,
+      winner,
+      declarationBonus: declaredBy === 1 ? declarationBonus : null,
+    }));
+  }, [gameOver, saveId, mode, boardSize, topology, opponent, dailyKey, rules, moveHistory, player1Moves, hintLevel, winner, declaredBy, declarationBonus]);
+
+  // Autosave after every turn; finished (or fully undone) games free their slot
+  // (online games live on the server instead)
+  useEffect(() => {
+    if (rules.length === 0 || online) return;
+    if (gameOver || moveHistory.length === 0) {
+      deleteSavedGame(saveId);
+      return;
+    }
+    saveGame({
+      id: saveId,
+      mode,
+      boardSize,
+      topology,
+      opponent,
+      playStyle,
+      captures,
+      dailyKey,
+      ruleIds: rules.map(rule => rule.id),
+      board,
+      orientation,
+      currentPlayer,
+      player1Stones,
+      player2Stones,
+      player1Moves,
+      player2Moves,
+      hintLevel,
+      currentHint,
+      moveHistory,
+      counterexample,
+      undosUsed,
+      notes,
+    });
+  }, [
+    saveId, mode, boardSize, topology, opponent, playStyle, captures, dailyKey, rules, board, orientation,
+    currentPlayer, player1Stones, player2Stones, player1Moves, player2Moves, hintLevel, currentHint,
+    moveHistory, counterexample, undosUsed, notes, gameOver, online,
+  ]);
 
   // Keyboard controls
+  const gameOverShown = gameOver && viewIndex === null;
   useEffect(() => {
     const handleKeyDown = (e) => {
+      if (e.target.matches?.('input[type="text"], textarea')) return;
+
+      // While a modal is open the board keys do nothing and Escape closes it (the
+      // game-over modal gives way to reviewing the game)
+      if (showDeclaration || gameOverShown) {
+        if (e.key !== 'Escape') return;
+        if (showDeclaration) {
+          setShowDeclaration(false);
+        } else {
+          setViewIndex(0);
+        }
+        return;
+      }
+      if (isComputerTurn && e.key !== 'Escape') return;
+
+      // R turns the piece clockwise, Shift+R counter-clockwise
       if (e.key === 'r' || e.key === 'R') {
+        const step = e.shiftKey ? -1 : 1;
         if (pendingPlacement) {
-          rotatePending(1);
+          rotatePending(step);
         } else {
-          rotateOrientation();
+          setOrientation((prev) => (prev + step + orientationCount) % orientationCount);
         }
       }
-      if (e.key === 'Escape') {
+
+      // Number keys pick an orientation directly (1 = North, or Northeast on the hex board)
+      const picked = /^[1-9]$/.test(e.key) ? Number(e.key) - 1 : null;
+      if (picked !== null && picked < orientationCount) {
         if (pendingPlacement) {
+          setPendingPlacement((prev) => ({ ...prev, orientation: picked }));
+        } else {
+          setOrientation(picked);
+        }
+      }
+      if (e.key === 'Escape') {
+        if (pendingPlacement && !isComputerTurn) {
           cancelPlacement();
         } else {
           onExit?.();
@@ -66,20 +355,20 @@ const Game = ({ mode = 'solo', onExit }) => {
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [orientation, onExit, pendingPlacement]);
+  }, [orientation, orientationCount, onExit, pendingPlacement, isComputerTurn, showDeclaration, gameOverShown]);
 
   const rotateOrientation = useCallback(() => {
-    setOrientation((prev) => (prev + 1) % 4);
-  }, []);
+    setOrientation((prev) => (prev + 1) % orientationCount);
+  }, [orientationCount]);
 
   const rotatePending = useCallback((direction) => {
     if (pendingPlacement) {
       setPendingPlacement(prev => ({
         ...prev,
-        orientation: (prev.orientation + direction + 4) % 4
+        orientation: (prev.orientation + direction + orientationCount) % orientationCount
       }));
     }
-  }, [pendingPlacement]);
+  }, [pendingPlacement, orientationCount]);
 
   const cancelPlacement = useCallback(() => {
     setPendingPlacement(null);
@@ -89,7 +378,7 @@ const Game = ({ mode = 'solo', onExit }) => {
     currentPlayer === 1 ? player1Stones : player2Stones;
 
   const handleCellClick = (row, col) => {
-    if (gameOver || board[row][col] || pendingPlacement) return;
+    if (gameOver || isComputerTurn || isOpponentTurn || board[row][col] || pendingPlacement) return;
 
     const stones = getCurrentStones();
     if (stones <= 0) return;
@@ -98,120 +387,196 @@ const Game = ({ mode = 'solo', onExit }) => {
     setPendingPlacement({ row, col, orientation });
   };
 
+  // In note mode a click steps the point's mark (or just the current orientation's)
+  const addNote = (row, col) => {
+    if (board[row][col]) return;
+    const key = getNoteKey(row, col, noteOrientation ? orientation : null);
+    setNotes((all) => ({ ...all, [notePlayer]: cycleNote(all[notePlayer], key) }));
+  };
+
+  // Remember the position before a turn so it can be undone
+  const recordTurn = () => {
+    setPast((prev) => [...prev, present]);
+    setFuture([]);
+  };
+
+  const restore = (snapshot) => {
+    dispatch({ type: 'load', ...snapshot });
+    setPendingPlacement(null);
+    setShowResult(false);
+  };
+
+  // Make an earlier (undo) or later (redo) position the present
+  const travel = (index) => {
+    const history = travelTo({ past, present, future }, index);
+    restore(history.present);
+    setPast(history.past);
+    setFuture(history.future);
+    setViewIndex(null);
+    if (index < past.length) setUndosUsed((n) => n + 1);
+  };
+
+  // Against the computer, undo and redo stop on your own turns
+  const undo = () => travel(findStop(timeline, past.length, -1, isComputerTurnIn));
+  const redo = () => travel(findStop(timeline, past.length, 1, isComputerTurnIn));
+
+  const canTravelTo = (index) => index !== past.length && (index > past.length || canUndo);
+
   const confirmPlacement = () => {
     if (!pendingPlacement) return;
 
-    const { row, col, orientation: placementOrientation } = pendingPlacement;
-    const legal = isMoveLegal(row, col, placementOrientation, rules, board);
-
-    // Record move
-    const move = {
-      row,
-      col,
-      orientation: placementOrientation,
-      player: currentPlayer,
-      legal,
-      timestamp: Date.now(),
-    };
-    setMoveHistory((prev) => [...prev, move]);
-
-    if (legal) {
-      // Place the piece
-      const newBoard = board.map((r, ri) =>
-        r.map((c, ci) =>
-          ri === row && ci === col ? { orientation: placementOrientation } : c
-        )
-      );
-      setBoard(newBoard);
-
-      // Update player stones
-      if (currentPlayer === 1) {
-        const newStones = player1Stones - 1;
-        setPlayer1Stones(newStones);
-        setPlayer1Moves((m) => m + 1);
-
-        // Check win condition
-        if (newStones === 0) {
-          setGameOver(true);
-          setWinner(1);
-        }
-      } else {
-        const newStones = player2Stones - 1;
-        setPlayer2Stones(newStones);
-        setPlayer2Moves((m) => m + 1);
+    // Online the server judges the move and sends back the new state
+    if (online) {
+      connectionRef.current?.send({ type: 'place', ...pendingPlacement });
+      setPendingPlacement(null);
+      return;
+    }
+    recordTurn();
+    dispatch({ type: 'placeStone', ...pendingPlacement });
 
-        if (newStones === 0) {
-          setGameOver(true);
-          setWinner(2);
-        }
-      }
+    // Show feedback, then clear it after the animation
+    setShowResult(true);
+    setPendingPlacement(null);
+    setTimeout(() => {
+      setShowResult(false);
+    }, 1000);
+  };
 
-      // Switch player in duel mode
-      if (mode === 'duel' && !gameOver) {
-        setCurrentPlayer((p) => (p === 1 ? 2 : 1));
-      }
-    } else {
-      // Invalid move - just count it
-      if (currentPlayer === 1) {
-        setPlayer1Moves((m) => m + 1);
+  // Computer opponent: choose a placement, then confirm it through the same flow a human uses
+  // (runs after every render so the timer always calls the latest confirmPlacement)
+  useEffect(() => {
+    if (!isComputerTurn || rules.length === 0 || viewIndex !== null || stuck) return;
+
+    const timer = setTimeout(() => {
+      if (pendingPlacement) {
+        confirmPlacement();
       } else {
-        setPlayer2Moves((m) => m + 1);
+        setPendingPlacement(chooseMove(opponent, { board, moveHistory, topology, player: currentPlayer }));
       }
+    }, COMPUTER_DELAY);
+    return () => clearTimeout(timer);
+  });
+
+  const declareRules = (ruleIds) => {
+    setShowDeclaration(false);
+    if (online) {
+      connectionRef.current?.send({ type: 'declare', ruleIds });
+      return;
+    }
+    recordTurn();
+    dispatch({ type: 'declareRules', ruleIds });
+  };
 
-      // In duel mode, still switch after invalid move
-      if (mode === 'duel') {
-        setCurrentPlayer((p) => (p === 1 ? 2 : 1));
-      }
+  // Nobody can place another stone - end the game without a winner
+  const endStuckGame = (revealRules) => {
+    if (online) {
+      connectionRef.current?.send({ type: 'draw' });
+    } else {
+      recordTurn();
+      dispatch({ type: 'declareDraw' });
+    }
+    setShowRules(revealRules);
+  };
+
+  const requestHint = () => {
+    if (gameOver) return;
+    if (online) {
+      connectionRef.current?.send({ type: 'hint' });
+      return;
     }
+    dispatch({ type: 'requestHint' });
+  };
 
-    // Show feedback
-    setLastMove({ row, col, result: legal ? 'valid' : 'invalid' });
+  const sharePuzzle = () => {
+    const code = encodePuzzle({ mode, boardSize, topology, captures, ruleIds: rules.map(rule => rule.id) });
+    const link = getPuzzleUrl(code);
+    setShareLink(link);
+    setShareCopied(false);
 
-    // Clear pending and feedback after animation
-    setPendingPlacement(null);
-    setTimeout(() => {
-      setLastMove(null);
-    }, 1000);
+    navigator.clipboard?.writeText(link)
+      .then(() => setShareCopied(true))
+      .catch(() => setShareCopied(false));
   };
 
-  const requestHint = () => {
-    const newLevel = Math.min(hintLevel + 1, 3);
-    setHintLevel(newLevel);
-    setCurrentHint(getHint(rules, newLevel));
+  const copyResultCard = () => {
+    navigator.clipboard?.writeText(buildResultCard(dailyKey, moveHistory))
+      .then(() => setResultCopied(true))
+      .catch(() => setResultCopied(false));
+  };
+
+  const getGameRecord = () => formatGameRecord({
+    mode,
+    boardSize,
+    topology,
+    captures,
+    ruleIds: rules.map(rule => rule.id),
+    moveHistory,
+  });
+
+  const copyGameRecord = () => {
+    navigator.clipboard?.writeText(getGameRecord())
+      .then(() => setRecordCopied(true))
+      .catch(() => setRecordCopied(false));
   };
 
   const resetGame = () => {
-    setBoard(createEmptyBoard());
-    setRules(selectRules(0.25, 0.5));
+    dispatch({
+      type: 'reset',
+      rules: selectRulesForDifficulty(difficulty, { size: boardSize, topology, players: mode === 'duel' ? 2 : 1, captures }),
+    });
     setOrientation(0);
-    setLastMove(null);
+    setShowResult(false);
     setPendingPlacement(null);
-    setCurrentPlayer(1);
-    setPlayer1Stones(INITIAL_STONES);
-    setPlayer2Stones(INITIAL_STONES);
-    setPlayer1Moves(0);
-    setPlayer2Moves(0);
-    setGameOver(false);
-    setWinner(null);
     setShowRules(false);
-    setHintLevel(0);
-    setCurrentHint(null);
-    setMoveHistory([]);
+    setShowDeclaration(false);
+    setPast([]);
+    setFuture([]);
+    setUndosUsed(0);
+    setViewIndex(null);
+    setNotes({ 1: {}, 2: {} });
+    setNoteMode(false);
+    setShareLink(null);
+    setShareCopied(false);
+    setDailyKey(null);
+    setResultCopied(false);
+    setRecordCopied(false);
+    deleteSavedGame(saveId);
+    setSaveId(createSaveId());
   };
 
-  const getOrientationName = (o) => ['North', 'East', 'South', 'West'][o];
+  const getOrientationName = (o) => orientationNames[o];
+
+  // Screen reader announcements - the latest result and whose turn it is, and the piece being placed
+  // (the latest move also flashes its result on the board)
+  const lastAttempt = moveHistory.at(-1);
+  const resultAnnouncement = lastAttempt
+    ? `Move ${moveHistory.length}: ${mode === 'duel' ? `Player ${lastAttempt.player ?? 1} tried ` : ''}`
+      + `${formatCoordinate(lastAttempt.row, lastAttempt.col, boardSize)} pointing ${getOrientationName(lastAttempt.orientation)}, `
+      + `${lastAttempt.legal ? 'legal' : 'illegal'}.`
+    : '';
+  const turnAnnouncement = gameOver
+    ? `Game over${winner ? `, ${winner === 1 ? (mode === 'solo' ? 'you win' : 'Player 1 wins') : `${player2Name} wins`}` : ''}.`
+    : mode === 'duel'
+      ? online ? (currentPlayer === onlinePlayer ? 'Your turn.' : 'Waiting for the other player.') : `${currentPlayer === 1 ? 'Player 1' : player2Name} to play.`
+      : '';
+  const selectionAnnouncement = pendingPlacement && !isComputerTurn
+    ? `${formatCoordinate(pendingPlacement.row, pendingPlacement.col, boardSize)} pointing `
+      + `${getOrientationName(pendingPlacement.orientation)} selected. Enter to place, R to rotate, Escape to cancel.`
+    : `Pieces point ${getOrientationName(orientation)}.`;
 
   return (
     <div className="game">
       <header className="game-header">
         <h1>无为棋</h1>
-        <p className="subtitle">The rules that can be named are not the true rules</p>
+        <p className="subtitle">
+          {dailyKey ? `Daily Puzzle · ${dailyKey}` : 'The rules that can be named are not the true rules'}
+        </p>
       </header>
 
       <div className="game-main">
         <aside className="game-sidebar left">
           <div className={`player-info ${currentPlayer === 1 ? 'active' : ''}`}>
-            <h3>{mode === 'solo' ? 'You' : 'Player 1'}</h3>
+            <h3>{mode === 'solo' ? 'You' : 'Player 1'}{onlinePlayer === 1 && ' (you)'}</h3>
             <div className="stones-count">
               <span className="count">{player1Stones}</span>
               <span className="label">stones</span>
@@ -224,7 +589,7 @@ const Game = ({ mode = 'solo', onExit }) => {
 
           {mode === 'duel' && (
             <div className={`player-info ${currentPlayer === 2 ? 'active' : ''}`}>
-              <h3>Player 2</h3>
+              <h3>{player2Name}{onlinePlayer === 2 && ' (you)'}</h3>
               <div className="stones-count">
                 <span className="count">{player2Stones}</span>
                 <span className="label">stones</span>
@@ -238,6 +603,7 @@ const Game = ({ mode = 'solo', onExit }) => {
 
           <PlacementPreview
             orientation={pendingPlacement ? pendingPlacement.orientation : orientation}
+            topology={topology}
             onRotate={rotateOrientation}
             stonesRemaining={getCurrentStones()}
           />
@@ -245,16 +611,78 @@ const Game = ({ mode = 'solo', onExit }) => {
 
         <div className="game-board-area">
           <Board
-            board={board}
-            onCellClick={handleCellClick}
+            board={viewed.board}
+            onCellClick={noteMode ? addNote : handleCellClick}
             previewOrientation={orientation}
-            lastMove={lastMove}
-            disabled={gameOver || !!pendingPlacement}
-            pendingPlacement={pendingPlacement}
+            lastMove={showResult && lastAttempt
+              ? { row: lastAttempt.row, col: lastAttempt.col, result: lastAttempt.legal ? 'valid' : 'invalid' }
+              : null}
+            disabled={noteMode
+              ? gameOver || viewIndex !== null
+              : gameOver || isComputerTurn || isOpponentTurn || !!pendingPlacement || viewIndex !== null}
+            pendingPlacement={viewIndex === null ? pendingPlacement : null}
+            topology={topology}
+            showOwners={mode === 'duel'}
+            hintCell={viewIndex === null ? currentHint?.cell : null}
+            notes={showNotes && viewIndex === null ? listNotes(notes[notePlayer]) : []}
+            noteMode={noteMode}
+            rejectedAttempts={rejectedAttempts}
+            heatmap={attemptHeatmap}
+            legalityOdds={viewIndex === null ? legalityOdds : null}
+            counterexample={viewed.counterexample?.onCurrentBoard ? viewed.counterexample : null}
           />
+          <div className="sr-only" role="status" aria-live="polite">
+            {resultAnnouncement} {turnAnnouncement}
+          </div>
+          <div className="sr-only" aria-live="polite">{selectionAnnouncement}</div>
+
+          {/* Looking at an earlier (or undone) position */}
+          {viewIndex !== null && (
+            <div className="time-travel-bar">
+              <span>
+                Viewing move {viewed.moveHistory.length} of {timeline.at(-1).moveHistory.length}
+              </span>
+              <button onClick={() => travel(viewIndex)} disabled={!canTravelTo(viewIndex)}>
+                Resume from Here
+              </button>
+              <button onClick={() => setViewIndex(null)}>Return to Present</button>
+            </div>
+          )}
+
+          {/* Computer's turn - its placement shows on the board before being confirmed */}
+          {isComputerTurn && (
+            <div className="computer-turn">
+              {player2Name} is {pendingPlacement ? 'placing a stone' : 'thinking'}…
+            </div>
+          )}
 
           {/* Placement confirmation UI */}
-          {pendingPlacement && (
+          {stuck && viewIndex === null && (
+            <div className="stuck-box">
+              <p>
+                {mode === 'solo'
+                  ? 'No legal move is left on this board - you can\'t place another stone.'
+                  : 'No legal move is left on this board for either player - nobody can place another stone.'}
+              </p>
+              <button onClick={() => endStuckGame(true)}>Reveal the Rules</button>
+              <button onClick={() => endStuckGame(false)}>
+                {mode === 'solo' ? 'End the Game' : 'Declare a Draw'}
+              </button>
+            </div>
+          )}
+
+          {/* Online - the other player's turn */}
+          {isOpponentTurn && !gameOver && (
+            <div className="computer-turn">
+              {!onlineSeats.seated.every(Boolean)
+                ? 'Waiting for an opponent to join…'
+                : onlineSeats.connected.every(Boolean)
+                  ? `Player ${currentPlayer} is thinking…`
+                  : `Player ${currentPlayer} disconnected - waiting for them to reconnect…`}
+            </div>
+          )}
+
+          {pendingPlacement && !isComputerTurn && viewIndex === null && (
             <div className="placement-confirm-ui">
               <button
                 className="rotate-btn rotate-left"
@@ -266,6 +694,7 @@ const Game = ({ mode = 'solo', onExit }) => {
               <div className="pending-piece-display">
                 <YinYangPiece
                   orientation={pendingPlacement.orientation}
+                  topology={topology}
                   size={50}
                 />
                 <span className="orientation-label">
@@ -297,7 +726,7 @@ const Game = ({ mode = 'solo', onExit }) => {
           )}
 
           {/* Current orientation indicator (hidden when placing) */}
-          {!pendingPlacement && (
+          {!pendingPlacement && !isComputerTurn && viewIndex === null && (
             <div className="orientation-indicator">
               Pointing: <strong>{getOrientationName(orientation)}</strong>
             </div>
@@ -306,30 +735,181 @@ const Game = ({ mode = 'solo', onExit }) => {
 
         <aside className="game-sidebar right">
           <div className="game-controls">
-            <button onClick={requestHint} disabled={hintLevel >= 3}>
-              Request Hint ({3 - hintLevel} left)
+            <button onClick={requestHint} disabled={gameOver || hintLevel >= MAX_HINT_LEVEL}>
+              Request Hint ({MAX_HINT_LEVEL - hintLevel} left)
+            </button>
+            <button
+              onClick={() => setShowDeclaration(true)}
+              disabled={gameOver || isComputerTurn || isOpponentTurn || !!pendingPlacement}
+            >
+              Declare Rules
             </button>
-            <button onClick={resetGame}>New Game</button>
+            {undoLimit > 0 && (
+              <div className="undo-controls">
+                <button onClick={undo} disabled={past.length === 0 || !canUndo || viewIndex !== null}>
+                  ↶ Undo
+                </button>
+                <button onClick={redo} disabled={future.length === 0 || viewIndex !== null}>
+                  Redo ↷
+                </button>
+              </div>
+            )}
+            <button onClick={() => setShowDeduction((shown) => !shown)}>
+              {showDeduction ? 'Hide Deduction' : 'Show Deduction'}
+            </button>
+            {!online && <button onClick={sharePuzzle}>Share Puzzle</button>}
+            {!online && <button onClick={resetGame}>New Game</button>}
             <button onClick={onExit}>Exit</button>
           </div>
 
+          {online && (
+            <div className="online-box">
+              <h4>Online Duel</h4>
+              {onlineRoom && (
+                <p>
+                  Room code <strong className="room-code">{onlineRoom}</strong>
+                </p>
+              )}
+              <p>
+                {onlineStatus === 'connected'
+                  ? onlinePlayer ? `You are Player ${onlinePlayer}` : 'Joining…'
+                  : onlineStatus === 'reconnecting' ? 'Connection lost - reconnecting…' : 'Connecting…'}
+              </p>
+              {onlineError && <p className="online-error">{onlineError}</p>}
+            </div>
+          )}
+
+          {shareLink && (
+            <div className="share-box">
+              <h4>{shareCopied ? 'Link copied!' : 'Share this puzzle'}</h4>
+              <input
+                type="text"
+                value={shareLink}
+                readOnly
+                onFocus={(e) => e.target.select()}
+              />
+            </div>
+          )}
+
+          {counterexample && (
+            <div className="declaration-box">
+              <h4>Wrong declaration (+{DECLARATION_PENALTY} moves)</h4>
+              <p>
+                {formatCoordinate(counterexample.row, counterexample.col, boardSize)} pointing{' '}
+                {getOrientationName(counterexample.orientation)}{' '}
+                {counterexample.legal ? 'is legal' : 'is illegal'}
+                {counterexample.onCurrentBoard ? '' : ' on another board'}
+                , but the declared rules say otherwise.
+              </p>
+            </div>
+          )}
+
+          {showDeduction && (
+            <DeductionPanel
+              candidateCount={candidates.length}
+              showOdds={showOdds}
+              onToggleOdds={() => setShowOdds((shown) => !shown)}
+            />
+          )}
+
           {currentHint && (
             <div className="hint-box">
               <h4>Hint</h4>
-              <p>{currentHint}</p>
+              <p>{currentHint.text}</p>
             </div>
           )}
 
+          <div className="notes-box">
+            <h4>Notes{mode === 'duel' && ` · Player ${notePlayer}`}</h4>
+            <div className="notes-actions">
+              <button
+                className={noteMode ? 'active' : ''}
+                onClick={() => {
+                  setNoteMode((on) => !on);
+                  setShowNotes(true);
+                }}
+                disabled={gameOver}
+              >
+                {noteMode ? 'Done Marking' : 'Mark Points'}
+              </button>
+              <button onClick={() => setShowNotes((shown) => !shown)}>
+                {showNotes ? 'Hide' : 'Show'}
+              </button>
+              <button
+                onClick={() => setNotes((all) => ({ ...all, [notePlayer]: {} }))}
+                disabled={Object.keys(notes[notePlayer]).length === 0}
+              >
+                Clear
+              </button>
+            </div>
+            {noteMode && (
+              <label>
+                <input
+                  type="checkbox"
+                  checked={noteOrientation}
+                  onChange={(e) => setNoteOrientation(e.target.checked)}
+                />
+                {' '}Only {getOrientationName(orientation)}
+              </label>
+            )}
+            <p className="notes-legend">
+              {Object.values(NOTE_MARKS).map(({ symbol, label }) => (
+                <span key={symbol}>{symbol} {label}</span>
+              ))}
+            </p>
+          </div>
+
+          <div className="attempts-box">
+            <h4>Attempts</h4>
+            <div className="attempts-actions">
+              <button className={showGhosts ? 'active' : ''} onClick={() => setShowGhosts((shown) => !shown)}>
+                Rejected Ghosts
+              </button>
+              <button className={showHeatmap ? 'active' : ''} onClick={() => setShowHeatmap((shown) => !shown)}>
+                Heatmap
+              </button>
+            </div>
+            {mode === 'duel' && (showGhosts || showHeatmap) && (
+              <div className="attempts-actions">
+                {[null, 1, 2].map((player) => (
+                  <button
+                    key={player ?? 'all'}
+                    className={attemptsPlayer === player ? 'active' : ''}
+                    onClick={() => setAttemptsPlayer(player)}
+                  >
+                    {player === null ? 'Both' : `Player ${player}`}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
           {/* Recent moves feed */}
           <div className="move-feed">
             <h4>Recent Moves</h4>
+            {timeline.length > 1 && (
+              <input
+                type="range"
+                className="move-scrubber"
+                min={0}
+                max={timeline.length - 1}
+                value={viewIndex ?? past.length}
+                onChange={(e) => {
+                  const index = Number(e.target.value);
+                  setViewIndex(index === past.length ? null : index);
+                  setPendingPlacement(null);
+                }}
+                aria-label="Step through the game"
+              />
+            )}
             <ul>
-              {moveHistory.slice(-5).reverse().map((move, i) => (
+              {viewed.moveHistory.slice(-5).reverse().map((move, i) => (
                 <li key={i} className={move.legal ? 'valid' : 'invalid'}>
                   {mode === 'duel' && `P${move.player}: `}
-                  {String.fromCharCode(65 + move.col)}{BOARD_SIZE - move.row}
+                  {formatCoordinate(move.row, move.col, boardSize)}
                   {' → '}
                   {move.legal ? '○' : '✕'}
+                  {move.captured > 0 && ` (${move.captured} captured)`}
                 </li>
               ))}
             </ul>
@@ -337,29 +917,62 @@ const Game = ({ mode = 'solo', onExit }) => {
         </aside>
       </div>
 
+      {showDeclaration && (
+        <DeclarationModal
+          catalog={getRuleCatalog(boardSize, topology)}
+          onDeclare={declareRules}
+          onCancel={() => setShowDeclaration(false)}
+        />
+      )}
+
       {/* Game over modal */}
-      {gameOver && (
+      {gameOver && viewIndex === null && (
         <div className="modal-overlay">
           <div className="modal game-over-modal">
             <h2>
-              {mode === 'solo'
-                ? 'Congratulations!'
-                : `Player ${winner} Wins!`}
+              {winner === null
+                ? mode === 'solo' ? 'No Moves Left' : 'A Draw'
+                : mode === 'solo'
+                  ? 'Congratulations!'
+                  : `${winner === 1 ? 'Player 1' : player2Name} Wins!`}
             </h2>
 
             <div className="final-stats">
+              {declaredBy && (
+                <p className="declared">
+                  {mode === 'solo' ? 'You' : declaredBy === 1 ? 'Player 1' : player2Name} named
+                  the hidden rules with{' '}
+                  <strong>{declarationBonus.stones}</strong> stones to spare! They count as placed,
+                  and <strong>{declarationBonus.moves}</strong> moves come off the total.
+                </p>
+              )}
               {mode === 'solo' ? (
                 <p>
-                  You placed all stones in <strong>{player1Moves}</strong> moves.
+                  {player1Stones === 0 ? 'You placed all stones' : `You placed ${initialStones - player1Stones} of ${initialStones} stones`}
+                  {' '}in <strong>{player1Moves}</strong> moves.
                 </p>
               ) : (
                 <>
-                  <p>Player 1: {INITIAL_STONES - player1Stones} stones in {player1Moves} moves</p>
-                  <p>Player 2: {INITIAL_STONES - player2Stones} stones in {player2Moves} moves</p>
+                  <p>Player 1: {initialStones - player1Stones} stones in {player1Moves} moves</p>
+                  <p>{player2Name}: {initialStones - player2Stones} stones in {player2Moves} moves</p>
                 </>
               )}
             </div>
 
+            {dailyKey && (
+              <div className="result-card">
+                <pre>{buildResultCard(dailyKey, moveHistory)}</pre>
+                <button onClick={copyResultCard}>
+                  {resultCopied ? 'Copied!' : 'Copy Result'}
+                </button>
+              </div>
+            )}
+
+            <div className="record-actions">
+              <button onClick={() => downloadGameRecord(getGameRecord())}>Save Game Record</button>
+              <button onClick={copyGameRecord}>{recordCopied ? 'Copied!' : 'Copy Game Record'}</button>
+            </div>
+
             <button onClick={() => setShowRules(true)}>
               Reveal the Hidden Rules
             </button>
@@ -379,7 +992,11 @@ const Game = ({ mode = 'solo', onExit }) => {
             )}
 
             <div className="modal-actions">
-              <button onClick={resetGame}>Play Again</button>
+              {!online && <button onClick={resetGame}>Play Again</button>}
+              {undoLimit > 0 && (
+                <button onClick={undo} disabled={!canUndo}>Undo Last Move</button>
+              )}
+              <button onClick={() => setViewIndex(0)}>Review Game</button>
               <button onClick={onExit}>Exit</button>
             </div>
           </div>
@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import Board from './Board';
+import { getRulesByIds, formatCoordinate } from '../rules';
+import { getTopology } from '../topology';
+import { getBoardAtStep } from '../gameRecord';
+
+// Read-only replay of an imported game record
+const GameViewer = ({ record, onExit }) => {
+  const { mode, boardSize, topology, ruleIds, date, moveHistory } = record;
+  const { orientationNames } = getTopology(topology);
+
+  const [step, setStep] = useState(0); // Number of moves played so far
+  const [showRules, setShowRules] = useState(false);
+
+  const move = step > 0 ? moveHistory[step - 1] : null;
+  const goTo = (target) => setStep(Math.max(0, Math.min(moveHistory.length, target)));
+
+  const countMoves = (player) =>
+    moveHistory.slice(0, step).filter(m => m.player === player).length;
+  const countStones = (player) =>
+    moveHistory.slice(0, step).filter(m => m.player === player && m.legal).length;
+
+  return (
+    <div className="game viewer">
+      <header className="game-header">
+        <h1>无为棋</h1>
+        <p className="subtitle">
+          Game Record · {mode === 'solo' ? 'Solo' : 'Duel'} · {boardSize}×{boardSize}
+          {date && ` · ${date}`}
+        </p>
+      </header>
+
+      <div className="game-main">
+        <aside className="game-sidebar left">
+          {(mode === 'solo' ? [1] : [1, 2]).map(player => (
+            <div key={player} className={`player-info ${move?.player === player ? 'active' : ''}`}>
+              <h3>{mode === 'solo' ? 'Player' : `Player ${player}`}</h3>
+              <div className="stones-count">
+                <span className="count">{countStones(player)}</span>
+                <span className="label">placed</span>
+              </div>
+              <div className="moves-count">
+                <span className="count">{countMoves(player)}</span>
+                <span className="label">moves</span>
+              </div>
+            </div>
+          ))}
+        </aside>
+
+        <div className="game-board-area">
+          <Board
+            board={getBoardAtStep(record, step)}
+            onCellClick={() => {}}
+            lastMove={move && { row: move.row, col: move.col, result: move.legal ? 'valid' : 'invalid' }}
+            disabled
+            topology={topology}
+            showOwners={record.mode === 'duel'}
+          />
+
+          <div className="step-controls">
+            <button onClick={() => goTo(0)} disabled={step === 0} aria-label="First move">⏮</button>
+            <button onClick={() => goTo(step - 1)} disabled={step === 0} aria-label="Previous move">◀</button>
+            <input
+              type="range"
+              className="move-scrubber"
+              min={0}
+              max={moveHistory.length}
+              value={step}
+              onChange={(e) => goTo(Number(e.target.value))}
+              aria-label="Step through the game"
+            />
+            <button onClick={() => goTo(step + 1)} disabled={step === moveHistory.length} aria-label="Next move">▶</button>
+            <button onClick={() => goTo(moveHistory.length)} disabled={step === moveHistory.length} aria-label="Last move">⏭</button>
+          </div>
+
+          <div className="orientation-indicator">
+            {move ? (
+              <>
+                Move {step} of {moveHistory.length}:{' '}
+                <strong>
+                  {mode === 'duel' && `P${move.player} `}
+                  {formatCoordinate(move.row, move.col, boardSize)} {orientationNames[move.orientation]}
+                </strong>{' '}
+                {move.legal ? '○' : '✕'}
+              </>
+            ) : (
+              `Start of the game · ${moveHistory.length} moves`
+            )}
+          </div>
+        </div>
+
+        <aside className="game-sidebar right">
+          <div className="game-controls">
+            <button onClick={() => setShowRules((shown) => !shown)}>
+              {showRules ? 'Hide the Hidden Rules' : 'Reveal the Hidden Rules'}
+            </button>
+            <button onClick={onExit}>Exit</button>
+          </div>
+
+          {showRules && (
+            <div className="revealed-rules">
+              <h3>The Rules Were:</h3>
+              <ul>
+                {getRulesByIds(ruleIds, boardSize, topology).map((rule) => (
+                  <li key={rule.id}>
+                    <strong>{rule.name}</strong>
+                    <p>{rule.description}</p>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="move-feed record-moves">
+            <h4>Moves</h4>
+            <ol>
+              {moveHistory.map((m, i) => (
+                <li
+                  key={i}
+                  className={`${m.legal ? 'valid' : 'invalid'} ${i === step - 1 ? 'current' : ''}`}
+                  onClick={() => goTo(i + 1)}
+                >
+                  {mode === 'duel' && `P${m.player}: `}
+                  {formatCoordinate(m.row, m.col, boardSize)}
+                  {' → '}
+                  {m.legal ? '○' : '✕'}
+                </li>
+              ))}
+            </ol>
+          </div>
+        </aside>
+      </div>
+    </div>
+  );
+};
+
+export default GameViewer;
@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { getStatistics, clearFinishedGames } from '../statistics';
+import { TOPOLOGIES } from '../topology';
+
+const TREND_HEIGHT = 80;
+const BAR_WIDTH = 14;
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+const formatDate = (time) => new Date(time).toLocaleDateString();
+
+// Statistics screen - totals, best scores, trends and per-rule difficulty
+const Statistics = ({ onExit }) => {
+  const [stats, setStats] = useState(() => getStatistics());
+
+  const clearStatistics = () => {
+    clearFinishedGames();
+    setStats(getStatistics());
+  };
+
+  if (stats.gamesPlayed === 0) {
+    return (
+      <div className="about statistics">
+        <h1>Statistics</h1>
+        <p>No finished games yet. Place all your stones to see your statistics here.</p>
+        <button onClick={onExit} className="back-button">Return to Menu</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="about statistics">
+      <h1>Statistics</h1>
+
+      <section className="stat-grid">
+        <div><span className="count">{stats.gamesPlayed}</span><span className="label">games</span></div>
+        <div><span className="count">{stats.averageMoves.toFixed(1)}</span><span className="label">avg solo moves</span></div>
+        <div><span className="count">{formatPercent(stats.averageEfficiency)}</span><span className="label">avg efficiency</span></div>
+        <div><span className="count">{stats.averageHints.toFixed(1)}</span><span className="label">avg hints</span></div>
+        <div><span className="count">{formatDuration(stats.averageDurationMs)}</span><span className="label">avg duration</span></div>
+        <div><span className="count">{stats.duelsWon}/{stats.duelGames}</span><span className="label">duels won</span></div>
+        <div><span className="count">{stats.rulesDeclared}</span><span className="label">rules named</span></div>
+      </section>
+
+      <section>
+        <h2>Efficiency Trend</h2>
+        <p>Stones placed per move over your last {stats.trend.length} games.</p>
+        <svg
+          className="trend-chart"
+          viewBox={`0 0 ${stats.trend.length * BAR_WIDTH} ${TREND_HEIGHT}`}
+          preserveAspectRatio="none"
+          role="img"
+          aria-label="Efficiency of recent games"
+        >
+          {stats.trend.map((game, i) => {
+            const height = Math.max(2, game.efficiency * TREND_HEIGHT);
+            return (
+              <rect
+                key={game.id}
+                x={i * BAR_WIDTH + 2}
+                y={TREND_HEIGHT - height}
+                width={BAR_WIDTH - 4}
+                height={height}
+                className={game.mode}
+              >
+                <title>{`${formatDate(game.finishedAt)}: ${formatPercent(game.efficiency)}`}</title>
+              </rect>
+            );
+          })}
+        </svg>
+      </section>
+
+      <section>
+        <h2>Best Scores</h2>
+        {stats.bests.length === 0 ? (
+          <p>Place every stone in a solo game to set a best score.</p>
+        ) : (
+          <ul>
+            {stats.bests.map(game => (
+              <li key={game.id}>
+                {TOPOLOGIES[game.topology].name} {game.boardSize}×{game.boardSize}:{' '}
+                <strong>{game.moves}</strong> moves ({formatPercent(game.efficiency)}, {formatDate(game.finishedAt)})
+              </li>
+            ))}
+          </ul>
+        )}
+        <p>Best efficiency in any game: <strong>{formatPercent(stats.bestEfficiency)}</strong></p>
+      </section>
+
+      <section>
+        <h2>Rule Difficulty</h2>
+        <p>Average invalid moves in games where each rule was hidden.</p>
+        <table className="stat-table">
+          <thead>
+            <tr><th>Rule</th><th>Games</th><th>Invalid moves</th></tr>
+          </thead>
+          <tbody>
+            {stats.ruleDifficulty.map(rule => (
+              <tr key={rule.id}>
+                <td>{rule.name}</td>
+                <td>{rule.games}</td>
+                <td>{rule.averageInvalid.toFixed(1)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section>
+        <h2>Recent Games</h2>
+        <table className="stat-table">
+          <thead>
+            <tr><th>Date</th><th>Mode</th><th>Moves</th><th>Hints</th><th>Time</th></tr>
+          </thead>
+          <tbody>
+            {stats.recent.map(game => (
+              <tr key={game.id}>
+                <td>{formatDate(game.finishedAt)}</td>
+                <td>
+                  {game.daily ? 'Daily' : game.mode === 'solo' ? 'Solo' : game.won ? 'Duel (won)' : 'Duel (lost)'}
+                </td>
+                <td>
+                  {game.moves}
+                  {game.declarationBonus && ` (named the rules, ${game.declarationBonus.moves} off)`}
+                </td>
+                <td>{game.hintsUsed}</td>
+                <td>{formatDuration(game.durationMs)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <div className="record-import-actions">
+        <button onClick={onExit} className="back-button">Return to Menu</button>
+        <button onClick={clearStatistics} className="back-button">Clear Statistics</button>
+      </div>
+    </div>
+  );
+};
+
+export default Statistics;
@@ -1,10 +1,13 @@
 import { useState } from 'react';
+import { getTopology } from '../topology';
 
 // Yin-Yang piece component
 // Orientation: 0=North, 1=East, 2=South, 3=West (where the white/yang "eye" points)
+// On the hex board there are six orientations, starting at Northeast
 
 const YinYangPiece = ({
   orientation = 0,
+  topology = 'square',
   size = 40,
   onClick,
   onRotate,
@@ -13,7 +16,7 @@ const YinYangPiece = ({
   result = null, // 'valid', 'invalid', or null
   className = '',
 }) => {
-  const rotation = orientation * 90;
+  const rotation = getTopology(topology).getAngle(orientation);
 
   // Animation for valid/invalid feedback
   const getResultStyle = () => {
@@ -85,12 +88,13 @@ const YinYangPiece = ({
 };
 
 // Preview piece for placement (follows cursor, can be rotated)
-export const PlacementPreview = ({ orientation, onRotate, stonesRemaining }) => {
+export const PlacementPreview = ({ orientation, topology = 'square', onRotate, stonesRemaining }) => {
   return (
     <div className="placement-preview">
       <div className="preview-piece">
         <YinYangPiece
           orientation={orientation}
+          topology={topology}
           size={60}
           interactive={true}
           onRotate={onRotate}
@@ -0,0 +1,53 @@
+// Daily Puzzle - everyone gets the same hidden rules on a given calendar date
+
+import { selectRules } from './rules.js';
+import { createRandom, seedFromString } from './random.js';
+
+const STORAGE_KEY = 'wuweiqi.daily';
+const RESULTS_PER_ROW = 5;
+
+// Local calendar date as YYYY-MM-DD
+export const getDailyKey = (date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const getDailyRules = (dailyKey) =>
+  selectRules({ random: createRandom(seedFromString(`wuweiqi-daily:${dailyKey}`)) });
+
+// Spoiler-free summary: only the sequence of ○/✕ results, no coordinates or rules
+export const buildResultCard = (dailyKey, moveHistory) => {
+  const symbols = moveHistory.map(move => (move.legal ? '○' : '✕'));
+  const rows = [];
+  for (let i = 0; i < symbols.length; i += RESULTS_PER_ROW) {
+    rows.push(symbols.slice(i, i + RESULTS_PER_ROW).join(''));
+  }
+  const placed = moveHistory.filter(move => move.legal).length;
+
+  return [
+    `无为棋 Wuweiqi Daily ${dailyKey}`,
+    `${placed} stones in ${moveHistory.length} moves`,
+    '',
+    ...rows,
+  ].join('\n');
+};
+
+const loadResults = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Returns the stored result ({ moves, card }) if this date was already played
+export const getDailyResult = (dailyKey) => loadResults()[dailyKey] || null;
+
+export const saveDailyResult = (dailyKey, result) => {
+  const results = { ...loadResults(), [dailyKey]: result };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(results));
+  } catch {
+    // Storage may be unavailable (private mode) - the result just won't persist
+  }
+};
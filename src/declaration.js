@@ -0,0 +1,68 @@
+// Declaring the rules - Eleusis style, a player names the hidden rules outright
+// A declaration is correct when it allows exactly the same moves as the hidden rules,
+// so logically equivalent rule sets (e.g. Edge + Corner vs. just Edge) count as correct.
+
+import { createEmptyBoard, isMoveLegal } from './rules.js';
+import { DEFAULT_TOPOLOGY, getCells, getTopology } from './topology.js';
+import { findSampleDisagreements } from './ruleAnalysis.js';
+
+// Extra moves charged for a wrong declaration
+export const DECLARATION_PENALTY = 3;
+
+// Moves taken off the total of a correct declaration (its unplaced stones also count
+// as placed), so naming the rules early beats placing the last stones by hand
+export const DECLARATION_BONUS = 5;
+
+// Moves where the declared rules and the hidden rules disagree in one position
+const findDisagreements = (declaredRules, hiddenRules, { board, history, player }, topology) => {
+  const orientationCount = getTopology(topology).orientationNames.length;
+  const disagreements = [];
+
+  for (const [row, col] of getCells(board.length, topology)) {
+    if (board[row][col] !== null) continue;
+    for (let orientation = 0; orientation < orientationCount; orientation++) {
+      const legal = isMoveLegal(row, col, orientation, hiddenRules, board, history, player);
+      if (legal !== isMoveLegal(row, col, orientation, declaredRules, board, history, player)) {
+        disagreements.push({ row, col, orientation, legal });
+      }
+    }
+  }
+
+  return disagreements;
+};
+
+// Compare the legal moves of both rule sets on the current board, the empty board
+// and every earlier position (neighbor rules behave differently as stones are added,
+// history rules as moves are made), then on the sample games of the rule analysis so
+// a rule the game hasn't tested yet can't slip through.
+// Returns { correct, counterexample } where the counterexample is { row, col, orientation, legal }
+// with legal telling what the hidden rules actually say about that move.
+export const checkDeclaration = (declaredRules, hiddenRules, {
+  board,
+  moveHistory = [],
+  topology = DEFAULT_TOPOLOGY,
+  random = Math.random,
+  player = 1,
+}) => {
+  const positions = [
+    { board, history: moveHistory, player },
+    { board: createEmptyBoard(board.length), history: [], player: 1 },
+    ...moveHistory.map((move, i) => ({ board: move.board, history: moveHistory.slice(0, i), player: move.player })),
+  ];
+
+  for (const position of positions) {
+    const disagreements = findDisagreements(declaredRules, hiddenRules, position, topology);
+    if (disagreements.length > 0) {
+      const counterexample = disagreements[Math.floor(random() * disagreements.length)];
+      return { correct: false, counterexample: { ...counterexample, onCurrentBoard: position.board === board } };
+    }
+  }
+
+  const sampled = findSampleDisagreements(declaredRules, hiddenRules, { size: board.length, topology });
+  if (sampled.length > 0) {
+    const { row, col, orientation, legal } = sampled[Math.floor(random() * sampled.length)];
+    return { correct: false, counterexample: { row, col, orientation, legal, onCurrentBoard: false } };
+  }
+
+  return { correct: true, counterexample: null };
+};
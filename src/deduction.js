@@ -0,0 +1,107 @@
+// Deduction - which hidden rule sets are still consistent with what has been observed
+// Every move in the history is public evidence: accepted moves rule out any rule that
+// would have rejected them, and each rejected move must be explained by some rule.
+
+import { BOARD_SIZE, MAX_HIDDEN_RULES, getRuleCatalog, getIncompatiblePairs } from './rules.js';
+import { DEFAULT_TOPOLOGY, getCells } from './topology.js';
+
+// Moves record the board as it was before the stone was placed; history rules
+// see the moves that came before this one
+const rejects = (rule, { move, history }) =>
+  rule.check(move.row, move.col, move.orientation, move.board, history, move.player);
+
+// Every rule set that could be hidden before anything has been played, per board
+// (the same list every game on that board starts from)
+const allRuleSets = new Map();
+
+const getAllRuleSets = (size, topology) => {
+  const key = `${topology}:${size}`;
+  if (allRuleSets.has(key)) return allRuleSets.get(key);
+
+  const catalog = getRuleCatalog(size, topology);
+  const conflicting = new Set(getIncompatiblePairs(size, topology).flatMap(([a, b]) => [`${a}|${b}`, `${b}|${a}`]));
+  const results = [];
+  const extend = (start, chosen) => {
+    if (chosen.length > 0) results.push(chosen);
+    if (chosen.length === MAX_HIDDEN_RULES) return;
+
+    for (let i = start; i < catalog.length; i++) {
+      if (chosen.some(rule => conflicting.has(`${rule.id}|${catalog[i].id}`))) continue;
+      extend(i + 1, [...chosen, catalog[i]]);
+    }
+  };
+  extend(0, []);
+
+  allRuleSets.set(key, results);
+  return results;
+};
+
+// The rule sets that would also have produced this move's result: none of an
+// accepted move's rules reject it, and at least one of a rejected move's does
+export const narrowRuleSets = (candidates, move, history) => {
+  const verdicts = new Map();
+  const rejectsMove = (rule) => {
+    if (!verdicts.has(rule)) verdicts.set(rule, rejects(rule, { move, history }));
+    return verdicts.get(rule);
+  };
+  return candidates.filter(set => set.some(rejectsMove) !== move.legal);
+};
+
+// Moves played the same way - each move's board follows from the ones before it
+const sameMove = (a, b) =>
+  a.row === b.row && a.col === b.col && a.orientation === b.orientation && a.player === b.player && a.legal === b.legal;
+
+// The last result for each board. Each new move can only rule sets out, so a history
+// that carries on from the last one just narrows its candidates instead of starting over.
+const lastResults = new Map();
+
+// All rule sets (arrays of rules) that would have produced exactly these results
+export const findConsistentRuleSets = (moveHistory, { size = BOARD_SIZE, topology = DEFAULT_TOPOLOGY } = {}) => {
+  const key = `${topology}:${size}`;
+  const last = lastResults.get(key);
+  const carriesOn = last
+    && last.moveHistory.length <= moveHistory.length
+    && last.moveHistory.every((move, i) => sameMove(move, moveHistory[i]));
+
+  let candidates = carriesOn ? last.candidates : getAllRuleSets(size, topology);
+  for (let i = carriesOn ? last.moveHistory.length : 0; i < moveHistory.length; i++) {
+    candidates = narrowRuleSets(candidates, moveHistory[i], moveHistory.slice(0, i));
+  }
+
+  lastResults.set(key, { moveHistory, candidates });
+  return candidates;
+};
+
+// Odds are estimated from an even spread of at most this many candidates - early on
+// there are over a hundred thousand, far more than the estimate needs
+const MAX_ODDS_SAMPLES = 2000;
+
+const sampleEvenly = (items, count) =>
+  items.length <= count ? items : Array.from({ length: count }, (_, i) => items[Math.floor(i * items.length / count)]);
+
+// For each empty cell, the fraction of candidate rule sets under which placing a
+// stone there with the given orientation would be legal (null for occupied cells)
+export const getLegalityOdds = (candidates, board, orientation, topology = DEFAULT_TOPOLOGY, history = [], player = 1) => {
+  const size = board.length;
+  const odds = board.map(row => row.map(() => null));
+  if (candidates.length === 0) return odds;
+
+  // Index the rules so each candidate can be checked against a flat lookup table
+  const sampled = sampleEvenly(candidates, MAX_ODDS_SAMPLES);
+  const rules = [...new Set(sampled.flat())];
+  const indexOf = new Map(rules.map((rule, i) => [rule, i]));
+  const sets = sampled.map(set => set.map(rule => indexOf.get(rule)));
+  const rejected = new Uint8Array(rules.length);
+
+  for (const [row, col] of getCells(size, topology)) {
+    if (board[row][col] !== null) continue;
+
+    rules.forEach((rule, i) => {
+      rejected[i] = rule.check(row, col, orientation, board, history, player) ? 1 : 0;
+    });
+    const legalCount = sets.filter(set => set.every(i => !rejected[i])).length;
+    odds[row][col] = legalCount / sets.length;
+  }
+
+  return odds;
+};
@@ -0,0 +1,108 @@
+// Difficulty - estimated by letting a standard inference bot play simulated solo games
+// against a rule set and counting the invalid moves it needs. Unlike the legal share of
+// an empty board this accounts for neighbor rules, how many orientations are legal and
+// how hard the pattern is to pick up from results.
+
+import { selectRules, isMoveLegal, getInitialStones, createEmptyBoard, BOARD_SIZE } from './rules.js';
+import { DEFAULT_TOPOLOGY } from './topology.js';
+import { chooseMove } from './ai.js';
+
+const SIMULATED_GAMES = 4;
+const MOVE_LIMIT_PER_STONE = 8; // A game this long counts as hopeless
+const SELECTION_ATTEMPTS = 40;
+const SELECTION_TIME_MS = 1500; // All the work of choosing rules - settle for the closest set found by then
+
+// Bands of expected invalid moves per stone placed. Rule sets the bot can't
+// crack at all (above the expert band) are never chosen.
+export const DIFFICULTY_LEVELS = {
+  easy: { name: 'Easy', description: 'Most moves are legal', min: 0, max: 0.15 },
+  normal: { name: 'Normal', description: 'A fair amount of trial and error', min: 0.15, max: 0.45 },
+  hard: { name: 'Hard', description: 'Many moves are illegal', min: 0.45, max: 1.2 },
+  expert: { name: 'Expert', description: 'Only careful deduction finds the way', min: 1.2, max: 5 },
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Play one solo game with the heuristic bot - returns the number of invalid moves
+// (stopping early once it has made more than `invalidLimit`), or null if the
+// deadline passed first
+const simulateGame = (rules, { size, topology, random, invalidLimit, deadline }) => {
+  const stones = getInitialStones(size, topology);
+  const moveLimit = stones * MOVE_LIMIT_PER_STONE;
+  const moveHistory = [];
+  let board = createEmptyBoard(size);
+  let placed = 0;
+
+  while (placed < stones && moveHistory.length < moveLimit && moveHistory.length - placed <= invalidLimit) {
+    if (Date.now() > deadline) return null;
+    const { row, col, orientation } = chooseMove('heuristic', { board, moveHistory, topology, random });
+    const legal = isMoveLegal(row, col, orientation, rules, board, moveHistory);
+    moveHistory.push({ row, col, orientation, legal, player: 1, board });
+    if (legal) {
+      board = board.map((r, ri) => r.map((c, ci) => (ri === row && ci === col ? { orientation, player: 1 } : c)));
+      placed++;
+    }
+  }
+
+  return moveHistory.length - placed;
+};
+
+// Expected invalid moves per stone over several simulated games. Once the
+// estimate is sure to exceed `maxScore` it stops and returns what it has so far.
+// Returns null when the `deadline` (a Date.now() time) passes before it's done.
+export const estimateDifficulty = (rules, {
+  size = BOARD_SIZE,
+  topology = DEFAULT_TOPOLOGY,
+  games = SIMULATED_GAMES,
+  random = Math.random,
+  maxScore = Infinity,
+  deadline = Infinity,
+} = {}) => {
+  const stones = getInitialStones(size, topology);
+  const budget = maxScore * games * stones;
+  let invalid = 0;
+  for (let game = 0; game < games && invalid <= budget; game++) {
+    const gameInvalid = simulateGame(rules, { size, topology, random, invalidLimit: budget - invalid, deadline });
+    if (gameInvalid === null) return null;
+    invalid += gameInvalid;
+  }
+  return invalid / games / stones;
+};
+
+// How far a score lies outside a difficulty band (0 when inside)
+const distanceFromBand = (score, { min, max }) => Math.max(0, min - score, score - max);
+
+// Rules whose simulated difficulty falls in the level's band (or the closest found)
+export const selectRulesForDifficulty = (level = DEFAULT_DIFFICULTY, {
+  size = BOARD_SIZE,
+  topology = DEFAULT_TOPOLOGY,
+  random = Math.random,
+  players = 1,
+  captures = false,
+  maxAttempts = SELECTION_ATTEMPTS,
+} = {}) => {
+  const band = DIFFICULTY_LEVELS[level];
+  if (!band) throw new Error(`Unknown difficulty: ${level}`);
+
+  // One deadline for everything - analysis, solvability searches and simulations
+  const deadline = Date.now() + SELECTION_TIME_MS;
+  let closest = null;
+  const selected = selectRules({
+    size,
+    topology,
+    random,
+    players,
+    captures,
+    maxAttempts,
+    deadline,
+    accept: (rules) => {
+      const score = estimateDifficulty(rules, { size, topology, random, maxScore: band.max, deadline });
+      if (score === null) return !closest; // Out of time - keep the closest set, or this one if it's the first
+      const distance = distanceFromBand(score, band);
+      if (!closest || distance < closest.distance) closest = { rules, distance };
+      return distance === 0;
+    },
+  });
+
+  return closest?.rules ?? selected;
+};
@@ -0,0 +1,226 @@
+// Engine - the rules of play without any interface
+// A game is a plain state object that is never changed in place. Each action takes a
+// game and returns { game, events } - the next game and what happened - so the
+// browser (as a React reducer), the online server, computer players, replays and
+// scripts all play by exactly the same rules.
+
+import {
+  BOARD_SIZE,
+  isMoveLegal,
+  getHint,
+  MAX_HINT_LEVEL,
+  getRulesByIds,
+  getInitialStones,
+  createEmptyBoard,
+} from './rules.js';
+import { DEFAULT_TOPOLOGY } from './topology.js';
+import { playStone } from './groups.js';
+import { checkDeclaration, DECLARATION_PENALTY, DECLARATION_BONUS } from './declaration.js';
+import { hasLegalMove } from './solvability.js';
+
+// Everything a turn can change - what undo snapshots keep
+export const POSITION_KEYS = [
+  'board',
+  'currentPlayer',
+  'player1Stones',
+  'player2Stones',
+  'player1Moves',
+  'player2Moves',
+  'gameOver',
+  'winner',
+  'moveHistory',
+  'declaredBy',
+  'declarationBonus',
+  'counterexample',
+];
+
+export const createGame = ({
+  mode = 'solo', // 'solo' or 'duel'
+  size = BOARD_SIZE,
+  topology = DEFAULT_TOPOLOGY,
+  captures = false, // Duel variant: groups left without liberties are taken off the board
+  rules = [],
+} = {}) => {
+  const stones = getInitialStones(size, topology);
+  return {
+    mode,
+    size,
+    topology,
+    captures,
+    rules,
+    board: createEmptyBoard(size),
+    currentPlayer: 1,
+    player1Stones: stones,
+    player2Stones: stones,
+    player1Moves: 0,
+    player2Moves: 0,
+    gameOver: false,
+    winner: null,
+    moveHistory: [], // { row, col, orientation, player, legal, captured, timestamp, board (before the move) }
+    declaredBy: null,
+    declarationBonus: null, // { stones, moves } credited to a correct declaration
+    counterexample: null, // { row, col, orientation, legal, onCurrentBoard, player } after a wrong declaration
+    hintLevel: 0,
+    currentHint: null, // { text, ruleId, cell }
+  };
+};
+
+// The parts of the game a turn can change
+export const getPosition = (game) => Object.fromEntries(POSITION_KEYS.map(key => [key, game[key]]));
+
+const stonesOf = (player) => `player${player}Stones`;
+const movesOf = (player) => `player${player}Moves`;
+const unchanged = (game) => ({ game, events: [] });
+
+// Hand the turn over (duels only) unless the game just ended
+const endTurn = (game, events) => {
+  if (game.gameOver || game.mode !== 'duel') return { game, events };
+  const currentPlayer = game.currentPlayer === 1 ? 2 : 1;
+  return { game: { ...game, currentPlayer }, events: [...events, { type: 'turn', player: currentPlayer }] };
+};
+
+// The player to move tries a stone. Illegal moves count but leave the board as it
+// was; points already taken (or a game already over) are ignored.
+export const placeStone = (game, { row, col, orientation, timestamp = Date.now() }) => {
+  const { board, rules, moveHistory, currentPlayer: player, topology, captures } = game;
+  if (game.gameOver || board[row]?.[col] !== null || game[stonesOf(player)] <= 0) return unchanged(game);
+
+  const legal = isMoveLegal(row, col, orientation, rules, board, moveHistory, player);
+  // With captures on, placing a stone can take the other player's surrounded groups off
+  const placement = legal ? playStone(board, { row, col, orientation, player }, { topology, captures }) : null;
+  const captured = placement?.captured ?? [];
+  const move = { row, col, orientation, player, legal, captured: captured.length, timestamp, board };
+
+  let next = {
+    ...game,
+    moveHistory: [...moveHistory, move],
+    [movesOf(player)]: game[movesOf(player)] + 1,
+    counterexample: null,
+    currentHint: game.currentHint && { ...game.currentHint, cell: null }, // The example was for the old board
+  };
+  const events = [{ type: 'move', move }];
+
+  if (legal) {
+    // Captured stones go back to their owner
+    next.board = placement.board;
+    next[stonesOf(player)] -= 1;
+    for (const stone of captured) next[stonesOf(stone.player)] += 1;
+    if (captured.length > 0) events.push({ type: 'capture', stones: captured });
+
+    if (next[stonesOf(player)] === 0) {
+      next = { ...next, gameOver: true, winner: player };
+      events.push({ type: 'gameOver', winner: player });
+    }
+  }
+  return endTurn(next, events);
+};
+
+// The player to move names the hidden rules. Right wins at once, counting their
+// unplaced stones as placed and taking DECLARATION_BONUS moves off their total;
+// wrong costs DECLARATION_PENALTY moves, shows a counterexample and ends the turn.
+export const declareRules = (game, { ruleIds }) => {
+  if (game.gameOver) return unchanged(game);
+  const { board, moveHistory, topology, currentPlayer: player } = game;
+  const declared = getRulesByIds(ruleIds, game.size, topology);
+  const result = checkDeclaration(declared, game.rules, { board, moveHistory, topology, player });
+  const events = [{ type: 'declaration', player, correct: result.correct, counterexample: result.counterexample }];
+
+  if (result.correct) {
+    const declarationBonus = {
+      stones: game[stonesOf(player)],
+      moves: Math.min(DECLARATION_BONUS, game[movesOf(player)]),
+    };
+    return {
+      game: {
+        ...game,
+        [stonesOf(player)]: 0,
+        [movesOf(player)]: game[movesOf(player)] - declarationBonus.moves,
+        declaredBy: player,
+        declarationBonus,
+        gameOver: true,
+        winner: player,
+      },
+      events: [...events, { type: 'gameOver', winner: player }],
+    };
+  }
+  return endTurn({
+    ...game,
+    [movesOf(player)]: game[movesOf(player)] + DECLARATION_PENALTY,
+    counterexample: { ...result.counterexample, player },
+  }, events);
+};
+
+// Whether anyone still has a legal placement - in a duel either player, since one
+// stuck on their turn can still pass it on with a rejected attempt
+export const canMove = (game) => {
+  const players = game.mode === 'duel' ? [game.currentPlayer, game.currentPlayer === 1 ? 2 : 1] : [1];
+  return players.some(player => hasLegalMove(game.rules, game.board, game.topology, game.moveHistory, player));
+};
+
+// End a game nobody can finish without a winner - only once neither player has a legal move
+export const declareDraw = (game) => {
+  if (game.gameOver || canMove(game)) return unchanged(game);
+  return { game: { ...game, gameOver: true, winner: null }, events: [{ type: 'gameOver', winner: null }] };
+};
+
+// The next, more specific hint (see getHint) - none once the game is over
+export const requestHint = (game) => {
+  if (game.gameOver) return unchanged(game);
+  const level = Math.min(game.hintLevel + 1, MAX_HINT_LEVEL);
+  const hint = getHint(game.rules, level, {
+    moveHistory: game.moveHistory,
+    board: game.board,
+    topology: game.topology,
+    player: game.currentPlayer,
+  });
+  return { game: { ...game, hintLevel: level, currentHint: hint }, events: [{ type: 'hint', level, hint }] };
+};
+
+// A new game with the same settings (and new rules, if given)
+export const reset = (game, { rules = game.rules } = {}) => ({
+  game: createGame({ ...game, rules }),
+  events: [{ type: 'reset' }],
+});
+
+// Take over part of the game from elsewhere - an undo snapshot, a saved game, the
+// online server's state or newly chosen rules
+export const load = (game, fields) => ({ game: { ...game, ...fields }, events: [] });
+
+const ACTIONS = { placeStone, declareRules, declareDraw, requestHint, reset, load };
+
+// Run an action given as { type, ...payload } - returns { game, events }
+export const applyAction = (game, { type, ...payload }) => {
+  if (!ACTIONS[type]) throw new Error(`Unknown game action: ${type}`);
+  return ACTIONS[type](game, payload);
+};
+
+// For React's useReducer
+export const gameReducer = (game, action) => applyAction(game, action).game;
+
+// A game that keeps its own state and tells listeners about each event as
+// listener(event, game) - for bots, servers and scripts
+export const createEngine = (options) => {
+  let game = createGame(options);
+  const listeners = new Set();
+
+  const dispatch = (action) => {
+    const result = applyAction(game, action);
+    game = result.game;
+    result.events.forEach(event => listeners.forEach(listener => listener(event, game)));
+    return result.events;
+  };
+
+  return {
+    getState: () => game,
+    dispatch,
+    on: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    placeStone: (row, col, orientation) => dispatch({ type: 'placeStone', row, col, orientation }),
+    declareRules: (ruleIds) => dispatch({ type: 'declareRules', ruleIds }),
+    declareDraw: () => dispatch({ type: 'declareDraw' }),
+    requestHint: () => dispatch({ type: 'requestHint' }),
+    reset: (rules) => dispatch({ type: 'reset', rules }),
+  };
+};
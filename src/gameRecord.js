@@ -0,0 +1,188 @@
+// Game records - a plain text format for keeping finished games, in the spirit of SGF
+//
+//   (;GM[Wuweiqi]FF[1]MO[duel]SZ[9]TP[square]VA[capture]DT[2026-10-19]
+//   RU[even_row][edge_forbidden]
+//   ;PL[1]XY[E5]OR[North]RE[legal]TM[2026-10-19T09:30:12.000Z]
+//   ;PL[2]XY[C3]OR[East]RE[illegal]TM[2026-10-19T09:30:20.000Z]
+//   )
+//
+// The root node holds the game settings (VA lists rule variants, only written when
+// one is on) and hidden rules, then one node per move with the player, the coordinate
+// as shown on the board, orientation, result and time.
+// Values escape "]" and "\" with a backslash.
+
+import { formatCoordinate, parseCoordinate, getRuleCatalog, createEmptyBoard } from './rules.js';
+import { DEFAULT_TOPOLOGY, TOPOLOGIES } from './topology.js';
+import { playStone } from './groups.js';
+
+const GAME_NAME = 'Wuweiqi';
+const FORMAT_VERSION = '1';
+const MODES = ['solo', 'duel'];
+const RESULTS = { legal: true, illegal: false };
+
+const escapeValue = (value) => String(value).replace(/[\\\]]/g, (char) => `\\${char}`);
+
+const formatProperty = (id, values) =>
+  `${id}${[].concat(values).map(value => `[${escapeValue(value)}]`).join('')}`;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Write a game ({ mode, boardSize, topology, captures, ruleIds, moveHistory }) as a game record
+export const formatGameRecord = ({
+  mode = 'solo',
+  boardSize,
+  topology = DEFAULT_TOPOLOGY,
+  captures = false,
+  ruleIds,
+  moveHistory,
+  date = new Date(),
+}) => {
+  const { orientationNames } = TOPOLOGIES[topology];
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+  const root = [
+    formatProperty('GM', GAME_NAME),
+    formatProperty('FF', FORMAT_VERSION),
+    formatProperty('MO', mode),
+    formatProperty('SZ', boardSize),
+    formatProperty('TP', topology),
+    captures ? formatProperty('VA', 'capture') : '',
+    formatProperty('DT', day),
+  ].join('');
+
+  const moves = moveHistory.map(move => ';' + [
+    formatProperty('PL', move.player),
+    formatProperty('XY', formatCoordinate(move.row, move.col, boardSize)),
+    formatProperty('OR', orientationNames[move.orientation]),
+    formatProperty('RE', move.legal ? 'legal' : 'illegal'),
+    formatProperty('TM', new Date(move.timestamp).toISOString()),
+  ].join(''));
+
+  return [`(;${root}`, formatProperty('RU', ruleIds), ...moves, ')', ''].join('\n');
+};
+
+// Split a record into nodes, each a map of property id -> list of values
+const parseNodes = (text) => {
+  const body = text.trim();
+  if (!body.startsWith('(') || !body.endsWith(')')) return null;
+
+  const nodes = [];
+  let node = null;
+  let id = '';
+  let values = null; // Values of the property being read
+  let i = 1;
+  while (i < body.length - 1) {
+    const char = body[i];
+    if (char === ';') {
+      node = new Map();
+      nodes.push(node);
+      values = null;
+      i++;
+    } else if (/[A-Z]/.test(char)) {
+      id += char;
+      i++;
+    } else if (char === '[') {
+      if (!node) return null;
+      if (id) {
+        values = node.get(id) ?? [];
+        node.set(id, values);
+        id = '';
+      }
+      if (!values) return null;
+      let value = '';
+      i++;
+      while (i < body.length && body[i] !== ']') {
+        if (body[i] === '\\') i++;
+        value += body[i];
+        i++;
+      }
+      if (i >= body.length) return null;
+      values.push(value);
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else {
+      return null;
+    }
+  }
+  return nodes;
+};
+
+const getValue = (node, id) => node.get(id)?.[0];
+
+// Give each move the board before it by replaying the legal moves from an empty board
+// (captures take stones off again, so the variant has to be known)
+export const rebuildBoards = (moves, boardSize, { topology = DEFAULT_TOPOLOGY, captures = false } = {}) => {
+  let board = createEmptyBoard(boardSize);
+  return moves.map(move => {
+    const withBoard = { ...move, board };
+    if (move.legal) board = playStone(board, move, { topology, captures }).board;
+    return withBoard;
+  });
+};
+
+// Read a game record - returns { mode, boardSize, topology, captures, ruleIds, date, moveHistory }
+// with each move's board before it rebuilt, or null if the record is malformed
+export const parseGameRecord = (text) => {
+  const nodes = parseNodes(text);
+  if (!nodes || nodes.length === 0) return null;
+
+  const [root, ...moveNodes] = nodes;
+  if (getValue(root, 'GM') !== GAME_NAME || getValue(root, 'FF') !== FORMAT_VERSION) return null;
+
+  const mode = getValue(root, 'MO');
+  const boardSize = Number(getValue(root, 'SZ'));
+  const topology = getValue(root, 'TP') ?? DEFAULT_TOPOLOGY;
+  const captures = (root.get('VA') ?? []).includes('capture');
+  const ruleIds = root.get('RU') ?? [];
+  if (!MODES.includes(mode) || !TOPOLOGIES[topology]?.sizes.includes(boardSize)) return null;
+
+  const knownIds = new Set(getRuleCatalog(boardSize, topology).map(rule => rule.id));
+  if (!ruleIds.every(id => knownIds.has(id))) return null;
+
+  const { orientationNames, isOnBoard } = TOPOLOGIES[topology];
+  const moves = [];
+  const occupied = new Set(); // Without captures a point can only be taken once
+
+  for (const node of moveNodes) {
+    const player = Number(getValue(node, 'PL'));
+    const cell = parseCoordinate(getValue(node, 'XY') ?? '', boardSize);
+    const orientation = orientationNames.indexOf(getValue(node, 'OR'));
+    const legal = RESULTS[getValue(node, 'RE')];
+    const timestamp = Date.parse(getValue(node, 'TM') ?? '');
+
+    if (player !== 1 && player !== 2) return null;
+    if (!cell || !isOnBoard(cell[0], cell[1], boardSize)) return null;
+    if (orientation === -1 || legal === undefined) return null;
+
+    const [row, col] = cell;
+    if (!captures && occupied.has(`${row},${col}`)) return null;
+    if (legal) occupied.add(`${row},${col}`);
+
+    moves.push({ row, col, orientation, player, legal, timestamp: Number.isNaN(timestamp) ? null : timestamp });
+  }
+
+  const moveHistory = rebuildBoards(moves, boardSize, { topology, captures });
+  return { mode, boardSize, topology, captures, ruleIds, date: getValue(root, 'DT') ?? null, moveHistory };
+};
+
+// Board after the first `step` moves of a parsed record
+export const getBoardAtStep = (record, step) => {
+  const { moveHistory, boardSize, topology, captures } = record;
+  if (step < moveHistory.length) return moveHistory[step].board;
+
+  const last = moveHistory.at(-1);
+  if (!last) return createEmptyBoard(boardSize);
+  if (!last.legal) return last.board;
+  return playStone(last.board, last, { topology, captures }).board;
+};
+
+// Save a record as a .wwq text file
+export const downloadGameRecord = (text, filename = 'wuweiqi-game.wwq') => {
+  const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
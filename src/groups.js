@@ -0,0 +1,86 @@
+// Groups - Go-style chains of stones and their liberties
+// Cells hold { orientation, player }. A group is one player's stones joined through
+// orthogonal neighbors (six of them on the hex board); its liberties are the empty
+// cells next to it.
+
+import { DEFAULT_TOPOLOGY, getTopology, getCells } from './topology.js';
+
+// Boards saved before stones had owners only held solo stones
+export const getOwner = (cell) => cell.player ?? 1;
+
+// The group holding the stone at (row, col) as { stones: [[row, col]...], liberties, owner }
+// An extra stone ({ row, col, stone }) counts as if it were on the board, which saves
+// copying the board just to ask what a move would do.
+export const findGroup = (board, row, col, topologyId = DEFAULT_TOPOLOGY, extra = null) => {
+  const { getNeighbors } = getTopology(topologyId);
+  const at = (r, c) => (extra && r === extra.row && c === extra.col ? extra.stone : board[r][c]);
+  const owner = getOwner(at(row, col));
+  const seen = new Set([`${row},${col}`]);
+  const stones = [[row, col]];
+  const liberties = new Set();
+
+  for (let i = 0; i < stones.length; i++) {
+    const [r, c] = stones[i];
+    for (const [nr, nc] of getNeighbors(r, c, board.length)) {
+      const key = `${nr},${nc}`;
+      const cell = at(nr, nc);
+      if (cell === null) {
+        liberties.add(key);
+      } else if (getOwner(cell) === owner && !seen.has(key)) {
+        seen.add(key);
+        stones.push([nr, nc]);
+      }
+    }
+  }
+
+  return { stones, liberties: liberties.size, owner };
+};
+
+// Boards are never changed once built, so their groups can be kept
+const groupCache = new WeakMap();
+
+// Every group on the board
+export const getGroups = (board, topologyId = DEFAULT_TOPOLOGY) => {
+  if (groupCache.get(board)?.topologyId === topologyId) return groupCache.get(board).groups;
+
+  const grouped = new Set();
+  const groups = [];
+  for (const [row, col] of getCells(board.length, topologyId)) {
+    if (board[row][col] === null || grouped.has(`${row},${col}`)) continue;
+    const group = findGroup(board, row, col, topologyId);
+    group.stones.forEach(([r, c]) => grouped.add(`${r},${c}`));
+    groups.push(group);
+  }
+  groupCache.set(board, { topologyId, groups });
+  return groups;
+};
+
+// A copy of the board with one more stone
+export const withStone = (board, row, col, stone) =>
+  board.map((cells, r) => (r === row ? cells.map((cell, c) => (c === col ? stone : cell)) : cells));
+
+// Put a player's stone on the board. With captures on, other players' groups left
+// without liberties come off the board. Returns { board, captured } with the removed
+// stones as { row, col, player } (the board passed in is never changed).
+export const playStone = (board, { row, col, orientation, player = 1 }, {
+  topology = DEFAULT_TOPOLOGY,
+  captures = false,
+} = {}) => {
+  let next = withStone(board, row, col, { orientation, player });
+  const captured = [];
+  if (!captures) return { board: next, captured };
+
+  for (const [r, c] of getTopology(topology).getNeighbors(row, col, board.length)) {
+    const cell = next[r][c];
+    if (cell === null || getOwner(cell) === player) continue;
+
+    const group = findGroup(next, r, c, topology);
+    if (group.liberties > 0) continue;
+
+    const removed = new Set(group.stones.map(([gr, gc]) => `${gr},${gc}`));
+    group.stones.forEach(([gr, gc]) => captured.push({ row: gr, col: gc, player: group.owner }));
+    next = next.map((cells, ri) => cells.map((stone, ci) => (removed.has(`${ri},${ci}`) ? null : stone)));
+  }
+
+  return { board: next, captured };
+};
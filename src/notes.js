@@ -0,0 +1,34 @@
+// Player notes - marks players put on intersections while working out the rules
+// Notes are a map from key to mark, where the key is 'row,col' for the whole point
+// or 'row,col,orientation' for one direction only. They never affect play.
+
+export const NOTE_MARKS = {
+  legal: { symbol: '✓', label: 'Probably legal' },
+  illegal: { symbol: '✕', label: 'Probably illegal' },
+  unsure: { symbol: '?', label: 'Not sure' },
+};
+
+// Clicking a point steps through the marks and back to no note
+const MARK_CYCLE = [...Object.keys(NOTE_MARKS), null];
+
+export const getNoteKey = (row, col, orientation = null) =>
+  orientation === null ? `${row},${col}` : `${row},${col},${orientation}`;
+
+// Notes with the next mark for this key (legal, illegal, unsure, then none)
+export const cycleNote = (notes, key) => {
+  const next = MARK_CYCLE[(MARK_CYCLE.indexOf(notes[key] ?? null) + 1) % MARK_CYCLE.length];
+  const updated = { ...notes };
+  if (next === null) {
+    delete updated[key];
+  } else {
+    updated[key] = next;
+  }
+  return updated;
+};
+
+// Notes as a list of { row, col, orientation, mark } (orientation null for the whole point)
+export const listNotes = (notes) =>
+  Object.entries(notes).map(([key, mark]) => {
+    const [row, col, orientation = null] = key.split(',').map(Number);
+    return { row, col, orientation, mark };
+  });
@@ -0,0 +1,89 @@
+// Client side of online duels (see server/index.js for the message protocol)
+// The connection reconnects on its own and reclaims its seat with the token
+// the server handed out, which is kept in sessionStorage so a refresh can rejoin too.
+
+const SESSION_KEY = 'wuweiqi.online';
+const RECONNECT_DELAYS = [500, 1000, 2000, 5000];
+const SEAT_TAKEN = 4000; // The server closed us because the seat was rejoined elsewhere
+
+export const DEFAULT_SERVER_URL =
+  import.meta.env?.VITE_SERVER_URL ?? `ws://${window.location.hostname || 'localhost'}:8787`;
+
+export const getOnlineSession = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const saveOnlineSession = (session) => {
+  try {
+    if (session) sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    else sessionStorage.removeItem(SESSION_KEY);
+  } catch {
+    // Without storage a refresh just can't rejoin
+  }
+};
+
+export const clearOnlineSession = () => saveOnlineSession(null);
+
+// Connect and enter a room. `join` is { type: 'create', boardSize, topology, difficulty },
+// { type: 'join', room } or { type: 'rejoin', room, token }.
+// Calls onMessage with every server message and onStatus with
+// 'connecting' | 'connected' | 'reconnecting' | 'closed'.
+export const connectOnline = ({ url = DEFAULT_SERVER_URL, join, onMessage, onStatus }) => {
+  let socket = null;
+  let seat = join.type === 'rejoin' ? { room: join.room, token: join.token } : null;
+  let attempts = 0;
+  let closed = false;
+  let retryTimer = null;
+
+  const open = () => {
+    onStatus?.(attempts === 0 ? 'connecting' : 'reconnecting');
+    socket = new WebSocket(url);
+
+    socket.addEventListener('open', () => {
+      attempts = 0;
+      onStatus?.('connected');
+      socket.send(JSON.stringify(seat ? { type: 'rejoin', ...seat } : join));
+    });
+
+    socket.addEventListener('message', (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === 'joined') {
+        seat = { room: message.room, token: message.token };
+        saveOnlineSession({ url, ...seat });
+      }
+      onMessage(message);
+    });
+
+    socket.addEventListener('close', (event) => {
+      if (closed) return;
+      // Reconnecting would only take the seat back from the newer connection
+      if (event.code === SEAT_TAKEN) {
+        closed = true;
+        onStatus?.('closed');
+        return;
+      }
+      const delay = RECONNECT_DELAYS[Math.min(attempts, RECONNECT_DELAYS.length - 1)];
+      attempts++;
+      onStatus?.('reconnecting');
+      retryTimer = setTimeout(open, delay);
+    });
+  };
+
+  open();
+
+  return {
+    send: (message) => {
+      if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      socket?.close();
+      onStatus?.('closed');
+    },
+  };
+};
@@ -0,0 +1,70 @@
+// Puzzle codes - share an exact hidden rule set with other players
+// The code is scrambled so that reading the URL doesn't spoil the rules
+
+import { BOARD_SIZE, getRuleCatalog } from './rules.js';
+import { DEFAULT_TOPOLOGY, TOPOLOGIES } from './topology.js';
+
+const CODE_VERSION = 1;
+const SCRAMBLE_KEY = 'wuwei';
+const HASH_PREFIX = '#p=';
+const MODES = ['solo', 'duel'];
+
+// XOR each character against the key (applying it twice restores the text)
+const scramble = (text) =>
+  Array.from(text, (char, i) =>
+    String.fromCharCode(char.charCodeAt(0) ^ SCRAMBLE_KEY.charCodeAt(i % SCRAMBLE_KEY.length))
+  ).join('');
+
+const toBase64Url = (text) =>
+  btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (code) =>
+  atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+
+// Encode a puzzle ({ mode, boardSize, topology, captures, ruleIds }) into a short url-safe string
+export const encodePuzzle = ({
+  mode = 'solo',
+  boardSize = BOARD_SIZE,
+  topology = DEFAULT_TOPOLOGY,
+  captures = false,
+  ruleIds,
+}) => {
+  const payload = JSON.stringify({ v: CODE_VERSION, m: mode, s: boardSize, t: topology, c: captures, r: ruleIds });
+  return toBase64Url(scramble(payload));
+};
+
+// Decode a puzzle code - returns null if the code is malformed or names unknown rules
+export const decodePuzzle = (code) => {
+  try {
+    const payload = JSON.parse(scramble(fromBase64Url(code.trim())));
+    if (payload.v !== CODE_VERSION || !MODES.includes(payload.m)) return null;
+    if (!Array.isArray(payload.r)) return null;
+
+    // Codes from before these settings existed are always a 9x9 square board without captures
+    const boardSize = payload.s ?? BOARD_SIZE;
+    const topology = payload.t ?? DEFAULT_TOPOLOGY;
+    if (!TOPOLOGIES[topology]?.sizes.includes(boardSize)) return null;
+
+    const knownIds = new Set(getRuleCatalog(boardSize, topology).map(rule => rule.id));
+    if (!payload.r.every(id => knownIds.has(id))) return null;
+
+    return { mode: payload.m, boardSize, topology, captures: payload.c === true, ruleIds: payload.r };
+  } catch {
+    return null;
+  }
+};
+
+// Full link that opens the app directly into the puzzle
+export const getPuzzleUrl = (code) =>
+  `${window.location.origin}${window.location.pathname}${HASH_PREFIX}${code}`;
+
+export const readPuzzleFromUrl = () => {
+  const { hash } = window.location;
+  if (!hash.startsWith(HASH_PREFIX)) return null;
+  return decodePuzzle(hash.slice(HASH_PREFIX.length));
+};
+
+export const clearPuzzleFromUrl = () => {
+  if (!window.location.hash) return;
+  window.history.replaceState(null, '', window.location.pathname + window.location.search);
+};
@@ -0,0 +1,169 @@
+// Rule analysis - compares what rules forbid instead of relying on hand-kept lists.
+// Each rule is evaluated over every cell and orientation of the empty board plus a
+// few sample games in progress (so neighbor and history rules are compared on real
+// positions), giving a signature of the moves it forbids. Signatures answer whether
+// one rule implies another, whether a set leaves any legal move, which rules of a
+// set are redundant and where two sets disagree.
+
+import { createRandom, seedFromString, shuffle } from './random.js';
+import { DEFAULT_TOPOLOGY, getTopology, getCells } from './topology.js';
+
+const SAMPLE_DENSITIES = [0.05, 0.1, 0.2, 0.3, 0.4, 0.5, 0.65, 0.8]; // Share of cells holding a stone
+const SAMPLE_REJECTIONS = 0.3; // Chance of a rejected attempt after each stone
+
+const positionCache = new Map();
+const rangeCache = new Map();
+const signatureCache = new WeakMap();
+
+// Sample games as { board, history, player } - two players taking turns in random
+// order, with some rejected attempts in between - seeded by the board so every run
+// compares the same positions
+const getSampleGames = (size, topologyId) => {
+  const cells = getCells(size, topologyId);
+  const orientationCount = getTopology(topologyId).orientationNames.length;
+  const random = createRandom(seedFromString(`wuweiqi-analysis:${topologyId}:${size}`));
+  const randomMove = ([row, col]) => ({ row, col, orientation: Math.floor(random() * orientationCount) });
+
+  const games = [{ board: Array.from({ length: size }, () => Array(size).fill(null)), history: [], player: 1 }];
+  SAMPLE_DENSITIES.forEach((density, game) => {
+    const board = Array.from({ length: size }, () => Array(size).fill(null));
+    const history = [];
+    let player = 1;
+    for (const cell of shuffle(cells, random)) {
+      if (random() >= density) continue;
+      const move = randomMove(cell);
+      board[move.row][move.col] = { orientation: move.orientation, player };
+      history.push({ ...move, player, legal: true });
+      player = player === 1 ? 2 : 1;
+      if (random() < SAMPLE_REJECTIONS) {
+        history.push({ ...randomMove(cells[Math.floor(random() * cells.length)]), player, legal: false });
+        player = player === 1 ? 2 : 1;
+      }
+    }
+    // Every other game ends on a rejected attempt, where the last attempt isn't the last stone
+    if (game % 2 === 1 && history.at(-1).legal) {
+      history.push({ ...randomMove(cells[Math.floor(random() * cells.length)]), player, legal: false });
+      player = player === 1 ? 2 : 1;
+    }
+    games.push({ board, history, player });
+  });
+  return games;
+};
+
+// Every (game, empty cell, orientation) a rule is judged on; the empty board comes first
+const getSamplePositions = (size, topologyId) => {
+  const key = `${topologyId}:${size}`;
+  if (!positionCache.has(key)) {
+    const orientationCount = getTopology(topologyId).orientationNames.length;
+    const positions = [];
+    for (const game of getSampleGames(size, topologyId)) {
+      for (const [row, col] of getCells(size, topologyId)) {
+        if (game.board[row][col] !== null) continue;
+        for (let orientation = 0; orientation < orientationCount; orientation++) {
+          positions.push({ ...game, row, col, orientation });
+        }
+      }
+    }
+    positionCache.set(key, positions);
+  }
+  return positionCache.get(key);
+};
+
+// [start, end) of each sample game's positions, the empty board first
+const getGameRanges = (size, topologyId) => {
+  const key = `${topologyId}:${size}`;
+  if (!rangeCache.has(key)) {
+    const positions = getSamplePositions(size, topologyId);
+    const ranges = [];
+    positions.forEach(({ board }, i) => {
+      if (i === 0 || board !== positions[i - 1].board) ranges.push([i, i]);
+      ranges[ranges.length - 1][1] = i + 1;
+    });
+    rangeCache.set(key, ranges);
+  }
+  return rangeCache.get(key);
+};
+
+// 1 for each sample position the rule forbids
+const getSignature = (rule, size, topologyId) => {
+  const key = `${topologyId}:${size}`;
+  if (!signatureCache.has(rule)) signatureCache.set(rule, new Map());
+  const signatures = signatureCache.get(rule);
+
+  if (!signatures.has(key)) {
+    const positions = getSamplePositions(size, topologyId);
+    const signature = new Uint8Array(positions.length);
+    positions.forEach(({ board, history, player, row, col, orientation }, i) => {
+      signature[i] = rule.check(row, col, orientation, board, history, player) ? 1 : 0;
+    });
+    signatures.set(key, signature);
+  }
+  return signatures.get(key);
+};
+
+// Positions forbidden by any rule of the set
+const getUnion = (rules, size, topologyId) => {
+  const union = new Uint8Array(getSamplePositions(size, topologyId).length);
+  for (const rule of rules) {
+    const signature = getSignature(rule, size, topologyId);
+    for (let i = 0; i < union.length; i++) union[i] |= signature[i];
+  }
+  return union;
+};
+
+const sameSignature = (a, b) => a.every((value, i) => value === b[i]);
+
+// Whenever `a` forbids a move, `b` forbids it too (so `a` adds nothing next to `b`)
+export const impliesRule = (a, b, { size, topology = DEFAULT_TOPOLOGY }) => {
+  const signatureA = getSignature(a, size, topology);
+  const signatureB = getSignature(b, size, topology);
+  return signatureA.every((forbidden, i) => !forbidden || signatureB[i]);
+};
+
+// No move is legal on the empty board, or none is once stones are down
+// (e.g. "no neighbors" together with "must have a neighbor")
+export const isEmptyRuleSet = (rules, { size, topology = DEFAULT_TOPOLOGY }) => {
+  const union = getUnion(rules, size, topology);
+  const [emptyBoard, ...stoneBoards] = getGameRanges(size, topology)
+    .map(([start, end]) => !union.subarray(start, end).includes(0));
+  return emptyBoard || stoneBoards.every(Boolean);
+};
+
+// Sample positions where the two sets disagree, as { board, history, player, row, col,
+// orientation, legal } with legal telling what `rulesB` says about the move
+export const findSampleDisagreements = (rulesA, rulesB, { size, topology = DEFAULT_TOPOLOGY }) => {
+  const unionA = getUnion(rulesA, size, topology);
+  const unionB = getUnion(rulesB, size, topology);
+  const positions = getSamplePositions(size, topology);
+  const disagreements = [];
+  for (let i = 0; i < positions.length; i++) {
+    if (unionA[i] !== unionB[i]) disagreements.push({ ...positions[i], legal: unionB[i] === 0 });
+  }
+  return disagreements;
+};
+
+// Rules that could be removed without changing which moves are legal
+export const findRedundantRules = (rules, { size, topology = DEFAULT_TOPOLOGY }) => {
+  const union = getUnion(rules, size, topology);
+  return rules.filter(rule =>
+    sameSignature(union, getUnion(rules.filter(other => other !== rule), size, topology))
+  );
+};
+
+// Every rule in the set changes which moves are legal, and some move stays legal
+export const isMeaningfulRuleSet = (rules, options) =>
+  !isEmptyRuleSet(rules, options) && findRedundantRules(rules, options).length === 0;
+
+// Pairs of rules that never belong together: one implies the other, or together
+// they forbid every move
+export const findIncompatiblePairs = (rules, options) => {
+  const pairs = [];
+  rules.forEach((a, i) => {
+    for (const b of rules.slice(i + 1)) {
+      if (impliesRule(a, b, options) || impliesRule(b, a, options) || isEmptyRuleSet([a, b], options)) {
+        pairs.push([a.id, b.id]);
+      }
+    }
+  });
+  return pairs;
+};
@@ -0,0 +1,485 @@
+// Rule expression language for Wuweiqi
+// Rules are plain JSON data that compile to check(row, col, orientation, board, history, player)
+// Neighbors, distances and board shapes follow the board topology (see topology.js)
+// The history is the game's move list so far - rejected attempts included - and
+// player is whoever is placing the stone (both optional)
+//
+// Values:
+//   3                                  a number
+//   { var: 'row' }                     row, col, orientation, stones (on the board),
+//                                      last (highest index), center (middle index),
+//                                      quarter (a quarter of the board size)
+//   { add: [a, b] }, { mul: [a, b] }   arithmetic ({ mod: [a, b] } too)
+//   { distance: [r, c] }               steps from the point (r, c)
+//   { neighbors: 'orthogonal' }        number of adjacent stones ('diagonal' too,
+//                                      'aligned' counts those pointing the same way)
+//   { group: 'size' }                  stones in the player's group the new stone would be
+//                                      part of, itself included (also 'liberties' of that
+//                                      group, 'joined' - the player's groups it touches -
+//                                      and 'largest', the player's largest group so far)
+//   { lastStone: 'row' }               row, col or orientation of the previous stone
+//   { lastAttempt: 'row' }             ... of the previous move, even a rejected one
+//   { ownLastStone: 'row' }            ... of the player's own previous stone
+//   History values are missing before the first move, and a predicate that
+//   compares a missing value is false (so the first stone is never affected)
+//
+// Predicates:
+//   { eq: [a, b] }  (also ne, lt, le, gt, ge)
+//   { even: a }, { odd: a }
+//   { is: 'edge' }  (also corner, starPoint, pointingOffBoard)
+//   { is: 'pointingAtStone' }  (also eyeToEye, pointingTowardNearestStone - these
+//                               relate the eye to the stones already on the board)
+//   { is: 'leavingGroupWithoutLiberties' }  (also extendingLargestGroup - see groups.js)
+//   { and: [p, q] }, { or: [p, q] }, { not: p }
+
+import { DEFAULT_TOPOLOGY, getTopology } from './topology.js';
+import { findGroup, getGroups, getOwner } from './groups.js';
+
+const DEFAULT_SIZE = 9;
+
+const countStones = (board) =>
+  board.reduce((total, row) => total + row.filter(cell => cell !== null).length, 0);
+
+const VARIABLES = {
+  row: (ctx) => ctx.row,
+  col: (ctx) => ctx.col,
+  orientation: (ctx) => ctx.orientation,
+  stones: (ctx) => countStones(ctx.board),
+  last: (ctx) => ctx.size - 1,
+  center: (ctx) => Math.floor(ctx.size / 2),
+  quarter: (ctx) => Math.floor(ctx.size / 4),
+};
+
+// The most recent move in the history matching `test` (null if there is none)
+const findLast = (history, test) => {
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (test(history[i])) return history[i];
+  }
+  return null;
+};
+
+const HISTORY_QUERIES = {
+  lastStone: (ctx) => findLast(ctx.history, move => move.legal),
+  lastAttempt: (ctx) => findLast(ctx.history, () => true),
+  ownLastStone: (ctx) => findLast(ctx.history, move => move.legal && move.player === ctx.player),
+};
+
+const MOVE_FIELDS = ['row', 'col', 'orientation'];
+
+const isMissing = (value) => value === null || Number.isNaN(value);
+
+// Adjacent stones as [row, col] lists
+const NEIGHBOR_QUERIES = {
+  orthogonal: (ctx) => ctx.topology.getNeighbors(ctx.row, ctx.col, ctx.size)
+    .filter(([r, c]) => ctx.board[r][c] !== null),
+  diagonal: (ctx) => ctx.topology.getDiagonalNeighbors(ctx.row, ctx.col, ctx.size)
+    .filter(([r, c]) => ctx.board[r][c] !== null),
+  aligned: (ctx) => NEIGHBOR_QUERIES.orthogonal(ctx)
+    .filter(([r, c]) => ctx.board[r][c].orientation === ctx.orientation),
+};
+
+// A group as it would be with the new stone on the board
+const findGroupWithNewStone = (ctx, row = ctx.row, col = ctx.col) =>
+  findGroup(ctx.board, row, col, ctx.topology.id, {
+    row: ctx.row,
+    col: ctx.col,
+    stone: { orientation: ctx.orientation, player: ctx.player },
+  });
+
+// The player's groups next to the new stone (before it is placed)
+const findTouchedGroups = (ctx) => {
+  const touched = [];
+  for (const [r, c] of ctx.topology.getNeighbors(ctx.row, ctx.col, ctx.size)) {
+    const cell = ctx.board[r][c];
+    if (cell === null || getOwner(cell) !== ctx.player) continue;
+    if (touched.some(group => group.stones.some(([gr, gc]) => gr === r && gc === c))) continue;
+    touched.push(findGroup(ctx.board, r, c, ctx.topology.id));
+  }
+  return touched;
+};
+
+const getPlayerGroups = (ctx) => getGroups(ctx.board, ctx.topology.id).filter(group => group.owner === ctx.player);
+
+const GROUP_QUERIES = {
+  size: (ctx) => findGroupWithNewStone(ctx).stones.length,
+  liberties: (ctx) => findGroupWithNewStone(ctx).liberties,
+  joined: (ctx) => findTouchedGroups(ctx).length,
+  largest: (ctx) => Math.max(0, ...getPlayerGroups(ctx).map(group => group.stones.length)),
+};
+
+const getOpposite = (topology, orientation) =>
+  (orientation + topology.orientationNames.length / 2) % topology.orientationNames.length;
+
+// The first stone met walking from the piece in the direction its eye points
+const findStoneInSight = (ctx) => {
+  let [r, c] = ctx.topology.getFacing(ctx.row, ctx.col, ctx.orientation);
+  while (ctx.topology.isOnBoard(r, c, ctx.size)) {
+    if (ctx.board[r][c] !== null) return ctx.board[r][c];
+    [r, c] = ctx.topology.getFacing(r, c, ctx.orientation);
+  }
+  return null;
+};
+
+// Whether one step along the eye gets closer to one of the nearest stones
+const pointsTowardNearestStone = (ctx) => {
+  const { topology, board, size } = ctx;
+  const stones = [];
+  board.forEach((cells, r) => cells.forEach((cell, c) => {
+    if (cell !== null) stones.push([r, c, topology.getDistance(ctx.row, ctx.col, r, c)]);
+  }));
+  if (stones.length === 0) return false;
+
+  const nearest = Math.min(...stones.map(([, , distance]) => distance));
+  const [facingRow, facingCol] = topology.getFacing(ctx.row, ctx.col, ctx.orientation);
+  if (!topology.isOnBoard(facingRow, facingCol, size)) return false;
+  return stones.some(([r, c, distance]) =>
+    distance === nearest && topology.getDistance(facingRow, facingCol, r, c) < distance
+  );
+};
+
+const SHAPES = {
+  edge: (ctx) => ctx.topology.isEdge(ctx.row, ctx.col, ctx.size),
+  corner: (ctx) => ctx.topology.isCorner(ctx.row, ctx.col, ctx.size),
+  starPoint: (ctx) =>
+    ctx.topology.getStarPoints(ctx.size).some(([r, c]) => r === ctx.row && c === ctx.col),
+  pointingOffBoard: (ctx) => {
+    const [r, c] = ctx.topology.getFacing(ctx.row, ctx.col, ctx.orientation);
+    return !ctx.topology.isOnBoard(r, c, ctx.size);
+  },
+  pointingAtStone: (ctx) => {
+    const [r, c] = ctx.topology.getFacing(ctx.row, ctx.col, ctx.orientation);
+    return ctx.topology.isOnBoard(r, c, ctx.size) && ctx.board[r][c] !== null;
+  },
+  eyeToEye: (ctx) =>
+    findStoneInSight(ctx)?.orientation === getOpposite(ctx.topology, ctx.orientation),
+  pointingTowardNearestStone: pointsTowardNearestStone,
+  // The new stone's own group or a group next to it would have no liberties
+  leavingGroupWithoutLiberties: (ctx) =>
+    findGroupWithNewStone(ctx).liberties === 0 ||
+    ctx.topology.getNeighbors(ctx.row, ctx.col, ctx.size)
+      .some(([r, c]) => ctx.board[r][c] !== null && findGroupWithNewStone(ctx, r, c).liberties === 0),
+  // The new stone touches one of the player's largest groups
+  extendingLargestGroup: (ctx) => {
+    const groups = getPlayerGroups(ctx);
+    const largest = Math.max(0, ...groups.map(group => group.stones.length));
+    const touched = findTouchedGroups(ctx);
+    return touched.some(group => group.stones.length === largest);
+  },
+};
+
+// Shapes that depend on the stones already on the board
+const BOARD_SHAPES = [
+  'pointingAtStone',
+  'eyeToEye',
+  'pointingTowardNearestStone',
+  'leavingGroupWithoutLiberties',
+  'extendingLargestGroup',
+];
+
+const COMPARISONS = {
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  lt: (a, b) => a < b,
+  le: (a, b) => a <= b,
+  gt: (a, b) => a > b,
+  ge: (a, b) => a >= b,
+};
+
+// The single key that identifies a node's operator
+const getOperator = (expr) => {
+  const keys = Object.keys(expr);
+  if (keys.length !== 1) {
+    throw new Error(`Rule expression must have exactly one operator: ${JSON.stringify(expr)}`);
+  }
+  return keys[0];
+};
+
+// Compile an expression into a function of { row, col, orientation, board, history, player, size, topology }
+export const compileExpression = (expr) => {
+  if (typeof expr === 'number') return () => expr;
+
+  const op = getOperator(expr);
+  const arg = expr[op];
+
+  if (op === 'var') {
+    if (!VARIABLES[arg]) throw new Error(`Unknown rule variable: ${arg}`);
+    return VARIABLES[arg];
+  }
+  if (op === 'add' || op === 'mul') {
+    const terms = arg.map(compileExpression);
+    const combine = op === 'add' ? (a, b) => a + b : (a, b) => a * b;
+    return (ctx) => terms.reduce((total, term) => {
+      const value = term(ctx);
+      return isMissing(total) || isMissing(value) ? null : combine(total, value);
+    }, op === 'add' ? 0 : 1);
+  }
+  if (op === 'mod') {
+    const [a, b] = arg.map(compileExpression);
+    return (ctx) => {
+      const value = a(ctx);
+      return isMissing(value) ? null : value % b(ctx);
+    };
+  }
+  if (op === 'distance') {
+    const [r, c] = arg.map(compileExpression);
+    return (ctx) => {
+      const [targetRow, targetCol] = [r(ctx), c(ctx)];
+      if (isMissing(targetRow) || isMissing(targetCol)) return null;
+      return ctx.topology.getDistance(ctx.row, ctx.col, targetRow, targetCol);
+    };
+  }
+  if (op === 'group') {
+    const query = GROUP_QUERIES[arg];
+    if (!query) throw new Error(`Unknown group query: ${arg}`);
+    return query;
+  }
+  if (HISTORY_QUERIES[op]) {
+    if (!MOVE_FIELDS.includes(arg)) throw new Error(`Unknown move field: ${arg}`);
+    const query = HISTORY_QUERIES[op];
+    return (ctx) => query(ctx)?.[arg] ?? null;
+  }
+  if (op === 'neighbors') {
+    const query = NEIGHBOR_QUERIES[arg];
+    if (!query) throw new Error(`Unknown neighbor query: ${arg}`);
+    return (ctx) => query(ctx).length;
+  }
+  if (COMPARISONS[op]) {
+    const [a, b] = arg.map(compileExpression);
+    const compare = COMPARISONS[op];
+    return (ctx) => {
+      const [left, right] = [a(ctx), b(ctx)];
+      return !isMissing(left) && !isMissing(right) && compare(left, right);
+    };
+  }
+  if (op === 'even' || op === 'odd') {
+    const value = compileExpression(arg);
+    const remainder = op === 'even' ? 0 : 1;
+    return (ctx) => {
+      const result = value(ctx);
+      return !isMissing(result) && Math.abs(result) % 2 === remainder;
+    };
+  }
+  if (op === 'is') {
+    const shape = SHAPES[arg];
+    if (!shape) throw new Error(`Unknown board shape: ${arg}`);
+    return shape;
+  }
+  if (op === 'and' || op === 'or') {
+    const parts = arg.map(compileExpression);
+    return op === 'and'
+      ? (ctx) => parts.every(part => part(ctx))
+      : (ctx) => parts.some(part => part(ctx));
+  }
+  if (op === 'not') {
+    const inner = compileExpression(arg);
+    return (ctx) => !inner(ctx);
+  }
+
+  throw new Error(`Unknown rule operator: ${op}`);
+};
+
+// Whether the expression looks at other stones (so legality changes during play)
+export const isDynamicExpression = (expr) => {
+  if (typeof expr === 'number') return false;
+  const op = getOperator(expr);
+  const arg = expr[op];
+  if (op === 'neighbors' || op === 'group' || HISTORY_QUERIES[op]) return true;
+  if (op === 'var') return arg === 'stones';
+  if (op === 'is') return BOARD_SHAPES.includes(arg);
+  if (Array.isArray(arg)) return arg.some(isDynamicExpression);
+  if (typeof arg === 'object') return isDynamicExpression(arg);
+  return false;
+};
+
+// Whether the expression looks at earlier moves (so the order of play matters)
+export const usesMoveHistory = (expr) => {
+  if (typeof expr === 'number') return false;
+  const op = getOperator(expr);
+  const arg = expr[op];
+  if (HISTORY_QUERIES[op]) return true;
+  if (Array.isArray(arg)) return arg.some(usesMoveHistory);
+  if (typeof arg === 'object') return usesMoveHistory(arg);
+  return false;
+};
+
+// ==================== DESCRIPTIONS ====================
+
+const VARIABLE_NAMES = {
+  row: 'the row',
+  col: 'the column',
+  orientation: 'the orientation',
+  stones: 'the number of stones on the board',
+};
+
+const HISTORY_PHRASES = {
+  lastStone: "the previous stone's",
+  lastAttempt: "the previous attempt's",
+  ownLastStone: "the player's own previous stone's",
+};
+
+const GROUP_PHRASES = {
+  size: "the size of the stone's group",
+  liberties: "the liberties of the stone's group",
+  joined: "the number of the player's groups the stone touches",
+  largest: "the size of the player's largest group",
+};
+
+const FIELD_NAMES = {
+  row: 'row',
+  col: 'column',
+  orientation: 'orientation',
+};
+
+const COMPARISON_PHRASES = {
+  eq: ['is', 'is not'],
+  ne: ['is not', 'is'],
+  lt: ['is less than', 'is at least'],
+  le: ['is at most', 'is more than'],
+  gt: ['is more than', 'is at most'],
+  ge: ['is at least', 'is less than'],
+};
+
+const SHAPE_PHRASES = {
+  edge: ['the stone is on the edge', 'the stone is not on the edge'],
+  corner: ['the stone is in a corner', 'the stone is not in a corner'],
+  starPoint: ['the stone is on a star point', 'the stone is not on a star point'],
+  pointingOffBoard: ['the stone points off the board', 'the stone does not point off the board'],
+  pointingAtStone: ['the stone points at an adjacent stone', 'the stone does not point at an adjacent stone'],
+  eyeToEye: [
+    'the stone and the next stone in its line point at each other',
+    'the stone and the next stone in its line do not point at each other',
+  ],
+  pointingTowardNearestStone: [
+    'the stone points toward the nearest stone',
+    'the stone does not point toward the nearest stone',
+  ],
+  leavingGroupWithoutLiberties: [
+    'the stone leaves a group without liberties',
+    'the stone leaves every group some liberties',
+  ],
+  extendingLargestGroup: [
+    "the stone extends the player's largest group",
+    "the stone does not extend the player's largest group",
+  ],
+};
+
+const isOrientation = (expr) => expr?.var === 'orientation';
+
+const SIZE_CONSTANTS = ['last', 'center', 'quarter'];
+
+// Value of an expression that only depends on the board size (null otherwise)
+const evaluateConstant = (expr, size) => {
+  if (typeof expr === 'number') return expr;
+  const op = getOperator(expr);
+  const arg = expr[op];
+  if (op === 'var') return SIZE_CONSTANTS.includes(arg) ? VARIABLES[arg]({ size }) : null;
+  if (op === 'add' || op === 'mul') {
+    const values = arg.map(term => evaluateConstant(term, size));
+    if (values.includes(null)) return null;
+    return op === 'add'
+      ? values.reduce((total, value) => total + value, 0)
+      : values.reduce((total, value) => total * value, 1);
+  }
+  return null;
+};
+
+// Describe a value, resolving size-dependent constants for the given board size
+const describeValue = (expr, env) => {
+  const { size } = env;
+  const constant = evaluateConstant(expr, size);
+  if (constant !== null) return String(constant);
+
+  const op = getOperator(expr);
+  const arg = expr[op];
+  const center = Math.floor(size / 2);
+
+  if (op === 'var') return VARIABLE_NAMES[arg];
+  if (op === 'add' || op === 'mul') {
+    const symbol = op === 'add' ? ' + ' : ' × ';
+    return arg.map(term => describeValue(term, env).replace(/^the /, '')).join(symbol);
+  }
+  if (op === 'mod') {
+    const [a, b] = arg.map(term => describeValue(term, env));
+    return `the remainder of ${a.replace(/^the /, '')} divided by ${b}`;
+  }
+  if (op === 'group') return GROUP_PHRASES[arg];
+  if (HISTORY_QUERIES[op]) return `${HISTORY_PHRASES[op]} ${FIELD_NAMES[arg]}`;
+  if (op === 'distance') {
+    const [r, c] = arg.map(term => describeValue(term, env));
+    if (r === String(center) && c === String(center)) return 'the distance from the center';
+    return `the distance from (${r}, ${c})`;
+  }
+  if (op === 'neighbors') {
+    if (arg === 'aligned') return 'the number of adjacent stones pointing the same way';
+    return arg === 'diagonal' ? 'the number of diagonally adjacent stones' : 'the number of adjacent stones';
+  }
+  throw new Error(`Not a value expression: ${JSON.stringify(expr)}`);
+};
+
+// Describe a predicate as a clause, e.g. "the row is even"
+const describePredicate = (expr, env, negated) => {
+  const { size, topology } = env;
+  const op = getOperator(expr);
+  const arg = expr[op];
+
+  if (COMPARISONS[op]) {
+    const [a, b] = arg;
+    if ((op === 'eq' || op === 'ne') && isOrientation(a) && typeof b === 'number') {
+      const pointsThatWay = (op === 'eq') !== negated;
+      return `the stone ${pointsThatWay ? 'points' : 'does not point'} ${topology.orientationNames[b]}`;
+    }
+    let phrase = COMPARISON_PHRASES[op][negated ? 1 : 0];
+    const comparesTwoValues = evaluateConstant(b, size) === null;
+    if (comparesTwoValues && phrase === 'is') phrase = 'equals';
+    if (comparesTwoValues && phrase === 'is not') phrase = 'does not equal';
+    return `${describeValue(a, env)} ${phrase} ${describeValue(b, env)}`;
+  }
+  if (op === 'even' || op === 'odd') {
+    const parity = (op === 'even') !== negated ? 'even' : 'odd';
+    return `${describeValue(arg, env)} is ${parity}`;
+  }
+  if (op === 'is') {
+    return SHAPE_PHRASES[arg][negated ? 1 : 0];
+  }
+  if (op === 'and' || op === 'or') {
+    // De Morgan when negated: not (a and b) = not a or not b
+    const joiner = (op === 'and') !== negated ? ' and ' : ' or ';
+    const parts = arg.map(part => {
+      const text = describePredicate(part, env, negated);
+      const partOp = getOperator(part);
+      return (partOp === 'and' || partOp === 'or') ? `(${text})` : text;
+    });
+    return parts.join(joiner);
+  }
+  if (op === 'not') {
+    return describePredicate(arg, env, !negated);
+  }
+
+  throw new Error(`Not a predicate expression: ${JSON.stringify(expr)}`);
+};
+
+export const describeExpression = (expr, size = DEFAULT_SIZE, topologyId = DEFAULT_TOPOLOGY) =>
+  describePredicate(expr, { size, topology: getTopology(topologyId) }, false);
+
+const toTitleCase = (text) =>
+  text.replace(/\b[a-z]/g, (letter) => letter.toUpperCase());
+
+// Turn a JSON rule definition ({ id, when, weight, name?, description?, hint? })
+// into a playable rule. Name, description and hint are derived when omitted.
+export const compileRule = (definition, size = DEFAULT_SIZE, topologyId = DEFAULT_TOPOLOGY) => {
+  const topology = getTopology(topologyId);
+  const predicate = compileExpression(definition.when);
+  const clause = describeExpression(definition.when, size, topologyId);
+
+  return {
+    ...definition,
+    name: definition.name ?? `${toTitleCase(clause.replace(/^the stone /, ''))} Forbidden`,
+    description: definition.description ?? `Stones are illegal when ${clause}`,
+    hint: definition.hint ?? `Watch what happens when ${clause}`,
+    check: (row, col, orientation, board, history = [], player = 1) =>
+      predicate({ row, col, orientation, board, history, player, size: board.length, topology }),
+    weight: definition.weight ?? 1,
+    dynamic: isDynamicExpression(definition.when),
+    sequential: usesMoveHistory(definition.when),
+  };
+};
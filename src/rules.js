@@ -1,353 +1,398 @@
 // Rule Engine for Wuweiqi
 // "The rules that can be named are not the true rules"
 
-// Board is 9x9, positions are 0-8 for both row and col
-// Orientation: 0=North, 1=East, 2=South, 3=West (where the white "eye" points)
+// Board is size x size (9x9 by default), positions are 0 to size-1 for both row and col
+// Cells are null or { orientation, player } - the player who placed the stone
+// Orientation on the square board: 0=North, 1=East, 2=South, 3=West (where the white "eye" points)
+// The hex board has six orientations instead (see topology.js)
+
+import { shuffle } from './random.js';
+import { compileRule } from './ruleLanguage.js';
+import { DEFAULT_TOPOLOGY, getTopology, getCells } from './topology.js';
+import { isSolvable } from './solvability.js';
+import { findIncompatiblePairs, isMeaningfulRuleSet } from './ruleAnalysis.js';
 
 // Each rule is an object with:
 // - id: unique identifier
 // - name: human-readable name (revealed at end)
-// - description: what makes a move ILLEGAL
-// - check: function(row, col, orientation, boardState) => true if ILLEGAL
+// - category: what kind of rule it is (see RULE_CATEGORIES), used for hints
+// - hint: how the most specific hints put the rule, without giving it away outright
+// - when: rule expression (see ruleLanguage.js) that is true if the move is ILLEGAL
+// - weight: how impactful the rule is
+// - topologies: boards the rule makes sense on (default: all)
+// Compiled rules also carry a derived description and a check function:
+// - check: function(row, col, orientation, boardState, history, player) => true if ILLEGAL
+//   (history is the move list so far, rejected attempts included)
 
 const BOARD_SIZE = 9;
-
-// Helper functions for rules
-const isEdge = (row, col) => row === 0 || row === 8 || col === 0 || col === 8;
-const isCorner = (row, col) => (row === 0 || row === 8) && (col === 0 || col === 8);
-const getDistance = (r1, c1, r2, c2) => Math.abs(r1 - r2) + Math.abs(c1 - c2);
-const getNeighbors = (row, col) => {
-  const neighbors = [];
-  if (row > 0) neighbors.push([row - 1, col]);
-  if (row < 8) neighbors.push([row + 1, col]);
-  if (col > 0) neighbors.push([row, col - 1]);
-  if (col < 8) neighbors.push([row, col + 1]);
-  return neighbors;
-};
-const getDiagonalNeighbors = (row, col) => {
-  const diagonals = [];
-  if (row > 0 && col > 0) diagonals.push([row - 1, col - 1]);
-  if (row > 0 && col < 8) diagonals.push([row - 1, col + 1]);
-  if (row < 8 && col > 0) diagonals.push([row + 1, col - 1]);
-  if (row < 8 && col < 8) diagonals.push([row + 1, col + 1]);
-  return diagonals;
+const BOARD_SIZES = getTopology(DEFAULT_TOPOLOGY).sizes;
+const SQUARE_ONLY = ['square'];
+const HEX_ONLY = ['hex'];
+
+// A puzzle hides between one and this many rules
+export const MAX_HIDDEN_RULES = 4;
+
+// Stones per player on the default board - scaled by area for other sizes
+const INITIAL_STONES = 15;
+
+// Kinds of rules, each with a vague and a clearer clue for hints
+export const RULE_CATEGORIES = {
+  position: { name: 'Rows and Columns', vague: 'Consider the geometry of your position...', clue: 'Rows and columns have meaning...' },
+  edge: { name: 'Edges', vague: 'The board has an inside and an outside...', clue: 'Boundaries matter...' },
+  region: { name: 'Regions', vague: 'Not every part of the board is the same...', clue: 'Halves of the board have meaning...' },
+  orientation: { name: 'Orientation', vague: 'The orientation may matter...', clue: 'Which way do you face?' },
+  neighbor: { name: 'Neighbors', vague: 'Neighbors can be friends or foes...', clue: 'Mind your neighbors...' },
+  math: { name: 'Numbers', vague: 'Numbers hold secrets...', clue: 'Add up where you stand...' },
+  distance: { name: 'Distance', vague: 'The center is not always the answer...', clue: 'How far from the center are you?' },
+  eye: { name: 'Eyes', vague: 'Some stones are watching the others...', clue: 'Where does the eye look?' },
+  group: { name: 'Groups', vague: 'Stones that touch belong together...', clue: 'Count the stones in each group...' },
+  history: { name: 'History', vague: 'What came before shapes what comes next...', clue: 'Remember the moves before this one...' },
 };
 
-// All possible rules - each returns true if the move is ILLEGAL
-export const ALL_RULES = [
+// Shorthand for the expression building blocks used below
+const ROW = { var: 'row' };
+const COL = { var: 'col' };
+const ORIENTATION = { var: 'orientation' };
+const LAST = { var: 'last' };
+const CENTER = { var: 'center' };
+const QUARTER = { var: 'quarter' };
+const pointing = (direction) => ({ eq: [ORIENTATION, direction] });
+const lastStone = (field) => ({ lastStone: field });
+
+// All possible rules as serializable data - each expression is true if the move is ILLEGAL
+export const RULE_DEFINITIONS = [
   // Position-based rules (row/column)
-  {
-    id: 'even_row',
-    name: 'Even Row Forbidden',
-    description: 'Stones in even-numbered rows are illegal',
-    check: (row, col, orientation, board) => row % 2 === 0,
-    weight: 1,
-  },
-  {
-    id: 'odd_row',
-    name: 'Odd Row Forbidden',
-    description: 'Stones in odd-numbered rows are illegal',
-    check: (row, col, orientation, board) => row % 2 === 1,
-    weight: 1,
-  },
-  {
-    id: 'even_col',
-    name: 'Even Column Forbidden',
-    description: 'Stones in even-numbered columns are illegal',
-    check: (row, col, orientation, board) => col % 2 === 0,
-    weight: 1,
-  },
-  {
-    id: 'odd_col',
-    name: 'Odd Column Forbidden',
-    description: 'Stones in odd-numbered columns are illegal',
-    check: (row, col, orientation, board) => col % 2 === 1,
-    weight: 1,
-  },
+  { id: 'even_row', name: 'Even Row Forbidden', category: 'position', hint: 'Whether the row number is even might matter', when: { even: ROW }, weight: 1 },
+  { id: 'odd_row', name: 'Odd Row Forbidden', category: 'position', hint: 'Whether the row number is odd might matter', when: { odd: ROW }, weight: 1 },
+  { id: 'even_col', name: 'Even Column Forbidden', category: 'position', hint: 'Whether the column number is even might matter', when: { even: COL }, weight: 1 },
+  { id: 'odd_col', name: 'Odd Column Forbidden', category: 'position', hint: 'Whether the column number is odd might matter', when: { odd: COL }, weight: 1 },
 
   // Edge/corner rules
-  {
-    id: 'edge_forbidden',
-    name: 'Edge Forbidden',
-    description: 'Stones on the edge are illegal',
-    check: (row, col, orientation, board) => isEdge(row, col),
-    weight: 1,
-  },
-  {
-    id: 'center_forbidden',
-    name: 'Center Forbidden',
-    description: 'Stones not on the edge are illegal',
-    check: (row, col, orientation, board) => !isEdge(row, col),
-    weight: 1,
-  },
-  {
-    id: 'corner_forbidden',
-    name: 'Corner Forbidden',
-    description: 'Stones in corners are illegal',
-    check: (row, col, orientation, board) => isCorner(row, col),
-    weight: 0.3, // Less impactful
-  },
+  { id: 'edge_forbidden', name: 'Edge Forbidden', category: 'edge', hint: 'The outermost ring of points might be special', when: { is: 'edge' }, weight: 1 },
+  { id: 'center_forbidden', name: 'Center Forbidden', category: 'edge', hint: 'Everything away from the edge might be special', when: { not: { is: 'edge' } }, weight: 1 },
+  { id: 'corner_forbidden', name: 'Corner Forbidden', category: 'edge', hint: 'The corners might be special', when: { is: 'corner' }, weight: 0.3 }, // Less impactful
 
   // Quadrant rules
-  {
-    id: 'top_half',
-    name: 'Top Half Forbidden',
-    description: 'Stones in top half (rows 0-3) are illegal',
-    check: (row, col, orientation, board) => row <= 3,
-    weight: 1,
-  },
-  {
-    id: 'bottom_half',
-    name: 'Bottom Half Forbidden',
-    description: 'Stones in bottom half (rows 5-8) are illegal',
-    check: (row, col, orientation, board) => row >= 5,
-    weight: 1,
-  },
-  {
-    id: 'left_half',
-    name: 'Left Half Forbidden',
-    description: 'Stones in left half (cols 0-3) are illegal',
-    check: (row, col, orientation, board) => col <= 3,
-    weight: 1,
-  },
-  {
-    id: 'right_half',
-    name: 'Right Half Forbidden',
-    description: 'Stones in right half (cols 5-8) are illegal',
-    check: (row, col, orientation, board) => col >= 5,
-    weight: 1,
-  },
+  { id: 'top_half', name: 'Top Half Forbidden', category: 'region', hint: 'The top half of the board might be special', when: { lt: [ROW, CENTER] }, weight: 1 },
+  { id: 'bottom_half', name: 'Bottom Half Forbidden', category: 'region', hint: 'The bottom half of the board might be special', when: { gt: [ROW, CENTER] }, weight: 1 },
+  { id: 'left_half', name: 'Left Half Forbidden', category: 'region', hint: 'The left half of the board might be special', when: { lt: [COL, CENTER] }, weight: 1 },
+  { id: 'right_half', name: 'Right Half Forbidden', category: 'region', hint: 'The right half of the board might be special', when: { gt: [COL, CENTER] }, weight: 1 },
 
   // Diagonal rules
-  {
-    id: 'main_diagonal',
-    name: 'Main Diagonal Forbidden',
-    description: 'Stones on the main diagonal (row=col) are illegal',
-    check: (row, col, orientation, board) => row === col,
-    weight: 0.3,
-  },
-  {
-    id: 'anti_diagonal',
-    name: 'Anti-Diagonal Forbidden',
-    description: 'Stones on the anti-diagonal (row+col=8) are illegal',
-    check: (row, col, orientation, board) => row + col === 8,
-    weight: 0.3,
-  },
+  { id: 'main_diagonal', name: 'Main Diagonal Forbidden', category: 'position', hint: 'The diagonal from the top left corner might be special', when: { eq: [ROW, COL] }, weight: 0.3 },
+  { id: 'anti_diagonal', name: 'Anti-Diagonal Forbidden', category: 'position', hint: 'The diagonal from the top right corner might be special', when: { eq: [{ add: [ROW, COL] }, LAST] }, weight: 0.3 },
 
   // Orientation rules (where the white dot points)
-  {
-    id: 'north_forbidden',
-    name: 'North Forbidden',
-    description: 'Yin-yang pointing North is illegal',
-    check: (row, col, orientation, board) => orientation === 0,
-    weight: 0.8,
-  },
-  {
-    id: 'east_forbidden',
-    name: 'East Forbidden',
-    description: 'Yin-yang pointing East is illegal',
-    check: (row, col, orientation, board) => orientation === 1,
-    weight: 0.8,
-  },
-  {
-    id: 'south_forbidden',
-    name: 'South Forbidden',
-    description: 'Yin-yang pointing South is illegal',
-    check: (row, col, orientation, board) => orientation === 2,
-    weight: 0.8,
-  },
-  {
-    id: 'west_forbidden',
-    name: 'West Forbidden',
-    description: 'Yin-yang pointing West is illegal',
-    check: (row, col, orientation, board) => orientation === 3,
-    weight: 0.8,
-  },
+  { id: 'north_forbidden', name: 'North Forbidden', category: 'orientation', hint: 'Stones pointing North might be treated differently', when: pointing(0), weight: 0.8, topologies: SQUARE_ONLY },
+  { id: 'east_forbidden', name: 'East Forbidden', category: 'orientation', hint: 'Stones pointing East might be treated differently', when: pointing(1), weight: 0.8, topologies: SQUARE_ONLY },
+  { id: 'south_forbidden', name: 'South Forbidden', category: 'orientation', hint: 'Stones pointing South might be treated differently', when: pointing(2), weight: 0.8, topologies: SQUARE_ONLY },
+  { id: 'west_forbidden', name: 'West Forbidden', category: 'orientation', hint: 'Stones pointing West might be treated differently', when: pointing(3), weight: 0.8, topologies: SQUARE_ONLY },
 
   // Neighbor rules (based on existing stones)
   {
     id: 'adjacent_forbidden',
     name: 'Adjacent Forbidden',
-    description: 'Stones adjacent to other stones are illegal',
-    check: (row, col, orientation, board) => {
-      const neighbors = getNeighbors(row, col);
-      return neighbors.some(([r, c]) => board[r][c] !== null);
-    },
+    category: 'neighbor',
+    hint: 'Touching another stone might matter',
+    when: { ge: [{ neighbors: 'orthogonal' }, 1] },
     weight: 0.7,
-    dynamic: true,
   },
   {
     id: 'isolated_forbidden',
     name: 'Isolation Forbidden',
-    description: 'Stones NOT adjacent to other stones are illegal (after first)',
-    check: (row, col, orientation, board) => {
-      // First stone is always allowed for this rule
-      const hasAnyStone = board.some(row => row.some(cell => cell !== null));
-      if (!hasAnyStone) return false;
-
-      const neighbors = getNeighbors(row, col);
-      return !neighbors.some(([r, c]) => board[r][c] !== null);
-    },
+    category: 'neighbor',
+    hint: 'Standing alone might matter',
+    // First stone is always allowed for this rule
+    when: { and: [{ ge: [{ var: 'stones' }, 1] }, { eq: [{ neighbors: 'orthogonal' }, 0] }] },
     weight: 0.7,
-    dynamic: true,
   },
   {
     id: 'diagonal_neighbor_forbidden',
     name: 'Diagonal Neighbor Forbidden',
-    description: 'Stones diagonally adjacent to other stones are illegal',
-    check: (row, col, orientation, board) => {
-      const diagonals = getDiagonalNeighbors(row, col);
-      return diagonals.some(([r, c]) => board[r][c] !== null);
-    },
+    category: 'neighbor',
+    hint: 'Stones diagonally next to the new one might matter',
+    when: { ge: [{ neighbors: 'diagonal' }, 1] },
     weight: 0.6,
-    dynamic: true,
+    topologies: SQUARE_ONLY,
   },
 
   // Mathematical rules
-  {
-    id: 'sum_even',
-    name: 'Even Sum Forbidden',
-    description: 'Positions where row+col is even are illegal',
-    check: (row, col, orientation, board) => (row + col) % 2 === 0,
-    weight: 1,
-  },
-  {
-    id: 'sum_odd',
-    name: 'Odd Sum Forbidden',
-    description: 'Positions where row+col is odd are illegal',
-    check: (row, col, orientation, board) => (row + col) % 2 === 1,
-    weight: 1,
-  },
-  {
-    id: 'product_even',
-    name: 'Even Product Forbidden',
-    description: 'Positions where row*col is even are illegal',
-    check: (row, col, orientation, board) => (row * col) % 2 === 0,
-    weight: 1,
-  },
+  { id: 'sum_even', name: 'Even Sum Forbidden', category: 'math', hint: 'Try adding the row and column numbers - an even total might matter', when: { even: { add: [ROW, COL] } }, weight: 1 },
+  { id: 'sum_odd', name: 'Odd Sum Forbidden', category: 'math', hint: 'Try adding the row and column numbers - an odd total might matter', when: { odd: { add: [ROW, COL] } }, weight: 1 },
+  { id: 'product_even', name: 'Even Product Forbidden', category: 'math', hint: 'Try multiplying the row and column numbers - an even result might matter', when: { even: { mul: [ROW, COL] } }, weight: 1 },
 
   // Special position rules
-  {
-    id: 'star_points',
-    name: 'Star Points Forbidden',
-    description: 'Traditional Go star points (3,3), (3,6), etc. are illegal',
-    check: (row, col, orientation, board) => {
-      const stars = [[2,2], [2,4], [2,6], [4,2], [4,4], [4,6], [6,2], [6,4], [6,6]];
-      return stars.some(([r, c]) => r === row && c === col);
-    },
-    weight: 0.3,
-  },
+  { id: 'star_points', name: 'Star Points Forbidden', category: 'position', hint: 'The marked star points might be special', when: { is: 'starPoint' }, weight: 0.3, topologies: SQUARE_ONLY },
   {
     id: 'center_point',
     name: 'Center Point Forbidden',
-    description: 'The center point (4,4) is illegal',
-    check: (row, col, orientation, board) => row === 4 && col === 4,
+    category: 'position',
+    hint: 'The very center point might be special',
+    when: { and: [{ eq: [ROW, CENTER] }, { eq: [COL, CENTER] }] },
     weight: 0.1,
   },
 
   // Distance rules
-  {
-    id: 'near_center',
-    name: 'Near Center Forbidden',
-    description: 'Stones within 2 steps of center are illegal',
-    check: (row, col, orientation, board) => getDistance(row, col, 4, 4) <= 2,
-    weight: 0.5,
-  },
-  {
-    id: 'far_from_center',
-    name: 'Far From Center Forbidden',
-    description: 'Stones more than 3 steps from center are illegal',
-    check: (row, col, orientation, board) => getDistance(row, col, 4, 4) > 3,
-    weight: 0.6,
-  },
+  { id: 'near_center', name: 'Near Center Forbidden', category: 'distance', hint: 'Being close to the center might matter', when: { le: [{ distance: [CENTER, CENTER] }, QUARTER] }, weight: 0.5 },
+  { id: 'far_from_center', name: 'Far From Center Forbidden', category: 'distance', hint: 'Being far from the center might matter', when: { gt: [{ distance: [CENTER, CENTER] }, { add: [CENTER, -1] }] }, weight: 0.6 },
 
   // Row/col specific
-  {
-    id: 'middle_row',
-    name: 'Middle Row Forbidden',
-    description: 'Row 4 (the middle) is illegal',
-    check: (row, col, orientation, board) => row === 4,
-    weight: 0.3,
-  },
-  {
-    id: 'middle_col',
-    name: 'Middle Column Forbidden',
-    description: 'Column 4 (the middle) is illegal',
-    check: (row, col, orientation, board) => col === 4,
-    weight: 0.3,
-  },
+  { id: 'middle_row', name: 'Middle Row Forbidden', category: 'position', hint: 'The middle row might be special', when: { eq: [ROW, CENTER] }, weight: 0.3 },
+  { id: 'middle_col', name: 'Middle Column Forbidden', category: 'position', hint: 'The middle column might be special', when: { eq: [COL, CENTER] }, weight: 0.3 },
 
   // Orientation + position combos
   {
     id: 'north_in_north',
     name: 'North in North Forbidden',
-    description: 'North-pointing stones in top half are illegal',
-    check: (row, col, orientation, board) => orientation === 0 && row <= 3,
+    category: 'orientation',
+    hint: 'Which way stones point in the top half might matter',
+    when: { and: [pointing(0), { lt: [ROW, CENTER] }] },
     weight: 0.4,
+    topologies: SQUARE_ONLY,
   },
   {
     id: 'east_on_east',
     name: 'East on East Forbidden',
-    description: 'East-pointing stones in right half are illegal',
-    check: (row, col, orientation, board) => orientation === 1 && col >= 5,
+    category: 'orientation',
+    hint: 'Which way stones point in the right half might matter',
+    when: { and: [pointing(1), { gt: [COL, CENTER] }] },
     weight: 0.4,
+    topologies: SQUARE_ONLY,
   },
   {
     id: 'edge_orientation',
     name: 'Edge Orientation Forbidden',
-    description: 'Stones on edge must not point outward',
-    check: (row, col, orientation, board) => {
-      if (row === 0 && orientation === 0) return true; // Top edge, pointing north
-      if (row === 8 && orientation === 2) return true; // Bottom edge, pointing south
-      if (col === 0 && orientation === 3) return true; // Left edge, pointing west
-      if (col === 8 && orientation === 1) return true; // Right edge, pointing east
-      return false;
+    category: 'orientation',
+    hint: 'Where stones on the edge point might matter',
+    // Stones on the edge must not point outward
+    when: { is: 'pointingOffBoard' },
+    weight: 0.3,
+  },
+
+  // Eye rules (how the new piece's eye relates to the stones around it)
+  { id: 'eye_on_stone', name: 'Pointing at a Stone Forbidden', category: 'eye', hint: 'What the new stone points at might matter', when: { is: 'pointingAtStone' }, weight: 0.6 },
+  {
+    id: 'eye_unmatched',
+    name: 'Unmatched Neighbors Forbidden',
+    category: 'eye',
+    hint: 'How a stone lines up with the stones beside it might matter',
+    // Stones with no neighbors are free
+    description: 'Stones next to other stones are illegal unless they point the same way as one of them',
+    when: { and: [{ ge: [{ neighbors: 'orthogonal' }, 1] }, { eq: [{ neighbors: 'aligned' }, 0] }] },
+    weight: 0.6,
+  },
+  { id: 'eye_to_eye', name: 'Eye to Eye Forbidden', category: 'eye', hint: 'Stones looking straight at each other might matter', when: { is: 'eyeToEye' }, weight: 0.4 },
+  {
+    id: 'eye_astray',
+    name: 'Looking Away Forbidden',
+    category: 'eye',
+    hint: 'Whether a stone looks toward the others might matter',
+    description: 'Stones are illegal unless they point toward the nearest stone (the first stone is free)',
+    when: { and: [{ ge: [{ var: 'stones' }, 1] }, { not: { is: 'pointingTowardNearestStone' } }] },
+    weight: 0.9,
+  },
+
+  // Group rules (Go-style chains of one player's stones and their liberties, see groups.js)
+  { id: 'group_limit', name: 'Large Groups Forbidden', category: 'group', hint: 'How big a group of stones grows might matter', when: { gt: [{ group: 'size' }, 4] }, weight: 0.6 },
+  { id: 'group_no_liberties', name: 'Suffocation Forbidden', category: 'group', hint: 'Whether a group still has room to breathe might matter', when: { is: 'leavingGroupWithoutLiberties' }, weight: 0.2 },
+  { id: 'group_connect', name: 'Connecting Groups Forbidden', category: 'group', hint: 'Joining groups together might matter', when: { ge: [{ group: 'joined' }, 2] }, weight: 0.3 },
+  {
+    id: 'group_extend_largest',
+    name: 'Straying Forbidden',
+    category: 'group',
+    hint: 'Where new stones stand relative to your biggest group might matter',
+    description: "Once a player has stones on the board, new stones are illegal unless they extend the player's largest group",
+    when: { and: [{ ge: [{ group: 'largest' }, 1] }, { not: { is: 'extendingLargestGroup' } }] },
+    weight: 0.9,
+  },
+
+  // Hex board rules (rings around the center, the three axes, hex directions)
+  { id: 'hex_even_ring', name: 'Even Rings Forbidden', category: 'distance', hint: 'Count the rings out from the center - even ones might be special', when: { even: { distance: [CENTER, CENTER] } }, weight: 1, topologies: HEX_ONLY },
+  { id: 'hex_odd_ring', name: 'Odd Rings Forbidden', category: 'distance', hint: 'Count the rings out from the center - odd ones might be special', when: { odd: { distance: [CENTER, CENTER] } }, weight: 1, topologies: HEX_ONLY },
+  {
+    id: 'hex_axes',
+    name: 'Axes Forbidden',
+    category: 'position',
+    hint: 'The three straight lines through the center might be special',
+    // The three lines through the center
+    when: { or: [{ eq: [ROW, CENTER] }, { eq: [COL, CENTER] }, { eq: [{ add: [ROW, COL] }, LAST] }] },
+    weight: 0.5,
+    topologies: HEX_ONLY,
+  },
+  { id: 'hex_upward', name: 'Upward Forbidden', category: 'orientation', hint: 'Stones pointing upward might be treated differently', when: { or: [pointing(0), pointing(5)] }, weight: 0.8, topologies: HEX_ONLY },
+  { id: 'hex_downward', name: 'Downward Forbidden', category: 'orientation', hint: 'Stones pointing downward might be treated differently', when: { or: [pointing(2), pointing(3)] }, weight: 0.8, topologies: HEX_ONLY },
+  { id: 'hex_sideways', name: 'Sideways Forbidden', category: 'orientation', hint: 'Stones pointing sideways might be treated differently', when: { or: [pointing(1), pointing(4)] }, weight: 0.8, topologies: HEX_ONLY },
+
+  // History rules (Eleusis style - earlier moves decide, so the first stone is always free)
+  {
+    id: 'repeat_orientation',
+    name: 'Repeated Orientation Forbidden',
+    category: 'history',
+    hint: 'Compare each stone with the direction of the stone before it',
+    description: 'Stones are illegal when they point the same way as the previous stone',
+    when: { eq: [ORIENTATION, lastStone('orientation')] },
+    weight: 0.8,
+  },
+  {
+    id: 'near_last_stone',
+    name: 'Closeness Forbidden',
+    category: 'history',
+    hint: 'How far each stone lands from the one before it might matter',
+    description: 'Stones are illegal less than 3 steps from the previous stone',
+    when: { lt: [{ distance: [lastStone('row'), lastStone('col')] }, 3] },
+    weight: 0.7,
+  },
+  {
+    id: 'same_half',
+    name: 'Same Half Forbidden',
+    category: 'history',
+    hint: 'Compare which half of the board each stone lands in with the one before it',
+    // The middle row belongs to neither half
+    description: 'Stones are illegal in the same half (top or bottom) as the previous stone',
+    when: {
+      or: [
+        { and: [{ lt: [ROW, CENTER] }, { lt: [lastStone('row'), CENTER] }] },
+        { and: [{ gt: [ROW, CENTER] }, { gt: [lastStone('row'), CENTER] }] },
+      ],
     },
+    weight: 0.8,
+  },
+  {
+    id: 'third_stone_edge',
+    name: 'Every Third Stone Off the Edge Forbidden',
+    category: 'history',
+    hint: 'Count your stones - every few of them might have to follow a different rule',
+    description: 'Every third stone (the 3rd, 6th, 9th...) is illegal unless it is on the edge',
+    when: { and: [{ eq: [{ mod: [{ var: 'stones' }, 3] }, 2] }, { not: { is: 'edge' } }] },
+    weight: 0.5,
+  },
+  {
+    id: 'repeat_attempt_orientation',
+    name: 'Repeated Attempt Forbidden',
+    category: 'history',
+    hint: 'Compare each attempt with the direction of the attempt before it, rejected or not',
+    // Rejected attempts count too, so a failed try changes what comes next
+    description: 'Stones are illegal when they point the same way as the previous attempt, even a rejected one',
+    when: { eq: [ORIENTATION, { lastAttempt: 'orientation' }] },
+    weight: 0.8,
+  },
+  {
+    id: 'own_row_repeat',
+    name: 'Own Row Forbidden',
+    category: 'history',
+    hint: 'Compare the row of each of your stones with the row of your previous one',
+    description: "Stones are illegal in the same row as the player's own previous stone",
+    when: { eq: [ROW, { ownLastStone: 'row' }] },
     weight: 0.3,
   },
 ];
 
-// Get rules that are compatible (don't contradict each other obviously)
-const getIncompatiblePairs = () => [
-  ['even_row', 'odd_row'],
-  ['even_col', 'odd_col'],
-  ['edge_forbidden', 'center_forbidden'],
-  ['top_half', 'bottom_half'],
-  ['left_half', 'right_half'],
-  ['adjacent_forbidden', 'isolated_forbidden'],
-  ['sum_even', 'sum_odd'],
-  ['near_center', 'far_from_center'],
-];
+// Rules compiled for a board (descriptions mention size-specific numbers)
+const catalogs = new Map();
+export const getRuleCatalog = (size = BOARD_SIZE, topology = DEFAULT_TOPOLOGY) => {
+  const key = `${topology}:${size}`;
+  if (!catalogs.has(key)) {
+    const definitions = RULE_DEFINITIONS.filter(definition =>
+      !definition.topologies || definition.topologies.includes(topology)
+    );
+    catalogs.set(key, definitions.map(definition => compileRule(definition, size, topology)));
+  }
+  return catalogs.get(key);
+};
+
+export const ALL_RULES = getRuleCatalog(BOARD_SIZE);
+
+export const getInitialStones = (size = BOARD_SIZE, topology = DEFAULT_TOPOLOGY) =>
+  Math.round(INITIAL_STONES * getTopology(topology).countCells(size) / (BOARD_SIZE * BOARD_SIZE));
+
+export const createEmptyBoard = (size = BOARD_SIZE) =>
+  Array(size).fill(null).map(() => Array(size).fill(null));
+
+// Coordinate in the notation shown on the board, e.g. A9 for the top-left corner
+export const formatCoordinate = (row, col, size = BOARD_SIZE) =>
+  `${String.fromCharCode(65 + col)}${size - row}`;
+
+// Read a coordinate written by formatCoordinate - returns [row, col] or null
+export const parseCoordinate = (text, size = BOARD_SIZE) => {
+  const match = /^([A-Z])(\d+)$/.exec(text.trim().toUpperCase());
+  if (!match) return null;
+  const col = match[1].charCodeAt(0) - 65;
+  const row = size - Number(match[2]);
+  if (row < 0 || row >= size || col >= size) return null;
+  return [row, col];
+};
+
+// Pairs of rule ids that never belong together: one rule implies the other, or
+// together they leave no legal move (found by analysis, see ruleAnalysis.js)
+const incompatibleCache = new Map();
+
+export const getIncompatiblePairs = (size = BOARD_SIZE, topology = DEFAULT_TOPOLOGY) => {
+  const key = `${topology}:${size}`;
+  if (!incompatibleCache.has(key)) {
+    incompatibleCache.set(key, findIncompatiblePairs(getRuleCatalog(size, topology), { size, topology }));
+  }
+  return incompatibleCache.get(key);
+};
 
 // Calculate what percentage of the board would be legal with given rules
-const calculateLegalPercentage = (rules) => {
+const calculateLegalPercentage = (rules, size = BOARD_SIZE, topology = DEFAULT_TOPOLOGY) => {
   let legalCount = 0;
-  const emptyBoard = Array(BOARD_SIZE).fill(null).map(() => Array(BOARD_SIZE).fill(null));
-
-  for (let row = 0; row < BOARD_SIZE; row++) {
-    for (let col = 0; col < BOARD_SIZE; col++) {
-      // Check all 4 orientations
-      for (let orientation = 0; orientation < 4; orientation++) {
-        const isIllegal = rules.some(rule => rule.check(row, col, orientation, emptyBoard));
-        if (!isIllegal) {
-          legalCount++;
-          break; // At least one orientation works
-        }
+  const emptyBoard = createEmptyBoard(size);
+  const cells = getCells(size, topology);
+  const orientationCount = getTopology(topology).orientationNames.length;
+
+  for (const [row, col] of cells) {
+    // Check every orientation
+    for (let orientation = 0; orientation < orientationCount; orientation++) {
+      const isIllegal = rules.some(rule => rule.check(row, col, orientation, emptyBoard));
+      if (!isIllegal) {
+        legalCount++;
+        break; // At least one orientation works
       }
     }
   }
 
-  return legalCount / (BOARD_SIZE * BOARD_SIZE);
+  return legalCount / cells.length;
 };
 
+// Rule sets failing the solvability search before selection settles for the fallback
+// (each search is bounded, see solvability.js, but a long run of them is not)
+const MAX_UNSOLVABLE = 8;
+
 // Select random rules that achieve target legality
-export const selectRules = (targetMin = 0.25, targetMax = 0.5, maxAttempts = 100) => {
-  const incompatible = getIncompatiblePairs();
+// Each rule in the set changes which moves are legal - none is implied by the others.
+// Pass a seeded random source (see random.js) to get a reproducible rule set.
+// An `accept` check replaces the legality window, e.g. a difficulty band (see difficulty.js).
+// Rule sets where the players couldn't place all their stones (with `captures` on,
+// including the ones taken back) are always rejected.
+// A `deadline` (a Date.now() time) stops the search after the first attempt it
+// passes - seeded selections leave it out so they pick the same rules on any machine.
+export const selectRules = ({
+  targetMin = 0.25,
+  targetMax = 0.5,
+  maxAttempts = 100,
+  random = Math.random,
+  size = BOARD_SIZE,
+  topology = DEFAULT_TOPOLOGY,
+  players = 1,
+  captures = false,
+  accept = null,
+  deadline = Infinity,
+} = {}) => {
+  const incompatible = getIncompatiblePairs(size, topology);
+  const catalog = getRuleCatalog(size, topology);
+  const stones = getInitialStones(size, topology);
+  let unsolvable = 0;
+  const solvable = (rules) => {
+    if (isSolvable(rules, { size, topology, stones, players, captures })) return true;
+    unsolvable++;
+    return false;
+  };
 
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+  for (let attempt = 0; attempt < maxAttempts && unsolvable < MAX_UNSOLVABLE && (attempt === 0 || Date.now() < deadline); attempt++) {
     // Randomly select 1-4 rules
-    const numRules = Math.floor(Math.random() * 4) + 1;
-    const shuffled = [...ALL_RULES].sort(() => Math.random() - 0.5);
+    const numRules = Math.floor(random() * MAX_HIDDEN_RULES) + 1;
+    const shuffled = shuffle(catalog, random);
     const selected = [];
 
     for (const rule of shuffled) {
@@ -360,56 +405,151 @@ export const selectRules = (targetMin = 0.25, targetMax = 0.5, maxAttempts = 100
         )
       );
 
-      if (isCompatible) {
+      // Every hidden rule has to make a difference, even next to two others
+      if (isCompatible && isMeaningfulRuleSet([...selected, rule], { size, topology })) {
         selected.push(rule);
       }
     }
 
-    const legalPct = calculateLegalPercentage(selected);
+    if (accept) {
+      if (solvable(selected) && accept(selected)) return selected;
+      continue;
+    }
+
+    const legalPct = calculateLegalPercentage(selected, size, topology);
 
-    if (legalPct >= targetMin && legalPct <= targetMax) {
+    if (legalPct >= targetMin && legalPct <= targetMax && solvable(selected)) {
       return selected;
     }
   }
 
   // Fallback: return a simple rule set
-  return [ALL_RULES.find(r => r.id === 'sum_even')];
+  return [catalog.find(r => r.id === 'sum_even')];
 };
 
+// Look up rules by id (e.g. when restoring a shared puzzle)
+export const getRulesByIds = (ids, size = BOARD_SIZE, topology = DEFAULT_TOPOLOGY) =>
+  ids.map(id => getRuleCatalog(size, topology).find(rule => rule.id === id)).filter(Boolean);
+
 // Check if a move is legal given the current rules and board state
-export const isMoveLegal = (row, col, orientation, rules, board) => {
-  return !rules.some(rule => rule.check(row, col, orientation, board));
+// History rules also need the moves so far and the player making this one.
+export const isMoveLegal = (row, col, orientation, rules, board, history = [], player = 1) => {
+  return !rules.some(rule => rule.check(row, col, orientation, board, history, player));
 };
 
-// Get hint about a rule (vague)
-export const getHint = (rules, hintLevel = 1) => {
-  if (rules.length === 0) return "There are no restrictions.";
-
-  const rule = rules[Math.floor(Math.random() * rules.length)];
-
-  const hints = {
-    1: [
-      "Consider the geometry of your position...",
-      "The orientation may matter...",
-      "Numbers hold secrets...",
-      "Neighbors can be friends or foes...",
-      "The center is not always the answer...",
-    ],
-    2: [
-      rule.id.includes('row') ? "Rows have meaning..." :
-      rule.id.includes('col') ? "Columns have meaning..." :
-      rule.id.includes('orientation') || rule.id.includes('north') || rule.id.includes('south') || rule.id.includes('east') || rule.id.includes('west') ? "Which way do you face?" :
-      rule.id.includes('adjacent') || rule.id.includes('neighbor') ? "Mind your neighbors..." :
-      rule.id.includes('edge') ? "Boundaries matter..." :
-      "The pattern is there, look deeper...",
-    ],
-    3: [
-      rule.description.replace('illegal', 'significant').replace('are', 'might be'),
-    ],
-  };
+// Hints get more specific with each level; the last one shows a concrete move
+export const MAX_HINT_LEVEL = 5;
+
+// Rejected moves looked at when deciding which rule a hint is about
+const RECENT_FAILURES = 10;
+
+// Which of the hidden rules rejected the player's recent failures, as { rule, count }
+// (a move can break several rules at once)
+const countRecentViolations = (rules, moveHistory, player) => {
+  const failures = moveHistory
+    .map((move, i) => ({ move, history: moveHistory.slice(0, i) }))
+    .filter(({ move }) => !move.legal && move.player === player)
+    .slice(-RECENT_FAILURES);
+
+  return rules.map(rule => ({
+    rule,
+    count: failures.filter(({ move, history }) =>
+      rule.check(move.row, move.col, move.orientation, move.board, history, move.player)
+    ).length,
+  }));
+};
+
+// Empty cells and orientations on this board as { row, col, orientation, rejectedBy: [rules] }
+const describeMoves = (rules, { board, topology, moveHistory, player }) => {
+  const orientationCount = getTopology(topology).orientationNames.length;
+  const moves = [];
+  for (const [row, col] of getCells(board.length, topology)) {
+    if (board[row][col] !== null) continue;
+    for (let orientation = 0; orientation < orientationCount; orientation++) {
+      const rejectedBy = rules.filter(rule => rule.check(row, col, orientation, board, moveHistory, player));
+      moves.push({ row, col, orientation, rejectedBy });
+    }
+  }
+  return moves;
+};
+
+// The move closest to the player's last attempt, so the hint can be compared with it
+const closestTo = (moves, target, topology) => {
+  if (!target) return moves[0];
+  const { getDistance } = getTopology(topology);
+  const distance = (move) => getDistance(move.row, move.col, target.row, target.col);
+  return moves.reduce((best, move) => (distance(move) < distance(best) ? move : best));
+};
 
-  const levelHints = hints[Math.min(hintLevel, 3)];
-  return levelHints[Math.floor(Math.random() * levelHints.length)];
+// A concrete move for the hint, never one already tried: preferably one only the
+// target rule rejects, then any it rejects, or failing that one every hidden rule
+// allows. Returns { row, col, orientation, legal } or null.
+const findExampleMove = (rules, target, { board, topology, moveHistory, player }) => {
+  const tried = new Set(moveHistory.map(move => `${move.row},${move.col},${move.orientation}`));
+  const moves = describeMoves(rules, { board, topology, moveHistory, player })
+    .filter(move => !tried.has(`${move.row},${move.col},${move.orientation}`));
+  const lastAttempt = moveHistory.findLast(move => move.player === player);
+
+  const rejected = moves.filter(move => move.rejectedBy.includes(target));
+  const rejectedOnlyByTarget = rejected.filter(move => move.rejectedBy.length === 1);
+  const allowed = moves.filter(move => move.rejectedBy.length === 0);
+
+  for (const [candidates, legal] of [[rejectedOnlyByTarget, false], [rejected, false], [allowed, true]]) {
+    if (candidates.length === 0) continue;
+    const { row, col, orientation } = closestTo(candidates, lastAttempt, topology);
+    return { row, col, orientation, legal };
+  }
+  return null;
+};
+
+// Get a hint about the rule the player struggles with most: the one behind most of
+// their recent rejected moves, or (before any) the one ruling out most of the board.
+// Returns { text, ruleId, cell } - cell is a move to highlight ({ row, col, orientation,
+// legal }) at the last level, when a board is given.
+export const getHint = (rules, hintLevel = 1, {
+  moveHistory = [],
+  board = null,
+  topology = DEFAULT_TOPOLOGY,
+  player = 1,
+} = {}) => {
+  if (rules.length === 0) return { text: 'There are no restrictions.', ruleId: null, cell: null };
+
+  const violations = countRecentViolations(rules, moveHistory, player);
+  const mostViolated = violations.reduce((best, entry) => (entry.count > best.count ? entry : best));
+
+  let target = mostViolated.rule;
+  if (mostViolated.count === 0 && board) {
+    const moves = describeMoves(rules, { board, topology, moveHistory, player });
+    const blocked = (rule) => moves.filter(move => move.rejectedBy.includes(rule)).length;
+    target = rules.reduce((best, rule) => (blocked(rule) > blocked(best) ? rule : best));
+  }
+
+  const category = RULE_CATEGORIES[target.category];
+  const evidence = mostViolated.count > 1
+    ? `${mostViolated.count} of your recent rejected moves have something in common. `
+    : '';
+  const level = Math.min(hintLevel, MAX_HINT_LEVEL);
+  const hint = { text: '', ruleId: target.id, cell: null };
+
+  // The kind of rule only comes out from the second level on
+  if (level === 1) {
+    return { ...hint, text: `${evidence}Compare the moves that were accepted with the ones that were not...` };
+  }
+  if (level === 2) return { ...hint, text: category.vague };
+  if (level === 3) return { ...hint, text: `${evidence}${category.clue}` };
+  if (level === 4 || !board) return { ...hint, text: target.hint };
+
+  const cell = findExampleMove(rules, target, { board, topology, moveHistory, player });
+  if (!cell) return { ...hint, text: target.hint };
+
+  const where = `${formatCoordinate(cell.row, cell.col, board.length)} pointing ${getTopology(topology).orientationNames[cell.orientation]}`;
+  return {
+    ...hint,
+    cell,
+    text: cell.legal
+      ? `${target.hint}. Try ${where} - it would be accepted.`
+      : `${target.hint}. ${where} would be rejected - see why?`,
+  };
 };
 
-export { BOARD_SIZE };
+export { BOARD_SIZE, BOARD_SIZES };
@@ -0,0 +1,60 @@
+// Saved games - in-progress games are kept in localStorage so they survive
+// a refresh or leaving to the menu, with a few save slots for each mode
+
+import { rebuildBoards } from './gameRecord.js';
+
+const STORAGE_KEY = 'wuweiqi.saves';
+export const SLOTS_PER_MODE = 3;
+
+const readSaves = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+};
+
+const writeSaves = (saves) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saves));
+  } catch {
+    // Storage unavailable (private browsing) - games just aren't kept
+  }
+};
+
+export const createSaveId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Saved games, most recent first, with each move's board restored
+export const getSavedGames = () =>
+  readSaves()
+    .sort((a, b) => b.savedAt - a.savedAt)
+    .map(save => ({
+      ...save,
+      moveHistory: rebuildBoards(save.moveHistory, save.boardSize, { topology: save.topology, captures: save.captures }),
+    }));
+
+// Save a game ({ id, mode, ... }) into its slot. Boards are left out of the move
+// history to keep the save small. A new game in a full mode replaces the oldest one.
+export const saveGame = (game) => {
+  const save = {
+    ...game,
+    moveHistory: game.moveHistory.map(({ row, col, orientation, player, legal, captured, timestamp }) =>
+      ({ row, col, orientation, player, legal, captured, timestamp })),
+    savedAt: Date.now(),
+  };
+
+  const others = readSaves().filter(existing => existing.id !== save.id);
+  const sameMode = others
+    .filter(existing => existing.mode === save.mode)
+    .sort((a, b) => b.savedAt - a.savedAt);
+  const dropped = new Set(sameMode.slice(SLOTS_PER_MODE - 1).map(existing => existing.id));
+
+  writeSaves([...others.filter(existing => !dropped.has(existing.id)), save]);
+};
+
+export const deleteSavedGame = (id) => {
+  const saves = readSaves();
+  if (saves.some(save => save.id === id)) {
+    writeSaves(saves.filter(save => save.id !== id));
+  }
+};
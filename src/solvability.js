@@ -0,0 +1,118 @@
+// Solvability - a puzzle is only fair if every stone can actually be placed.
+// Neighbor rules can close the board as stones go down, so the checker searches
+// for a full sequence of legal placements (players taking turns in a duel).
+// History rules are checked against the moves so far and the player to move.
+
+import { DEFAULT_TOPOLOGY, getTopology, getCells } from './topology.js';
+import { createEmptyBoard } from './rules.js';
+import { playStone } from './groups.js';
+
+// The search gives up (and calls the rules unsolvable) after trying this many
+// placements or checking this many moves for legality, whichever comes first
+const SEARCH_LIMIT = 1500;
+const CHECK_LIMIT = 100000;
+
+const isLegal = (rules, row, col, orientation, board, history, player) =>
+  !rules.some(rule => rule.check(row, col, orientation, board, history, player));
+
+// Every legal placement on this board as { row, col, orientation }
+export const getLegalMoves = (rules, board, topologyId = DEFAULT_TOPOLOGY, history = [], player = 1) => {
+  const orientationCount = getTopology(topologyId).orientationNames.length;
+  const moves = [];
+  for (const [row, col] of getCells(board.length, topologyId)) {
+    if (board[row][col] !== null) continue;
+    for (let orientation = 0; orientation < orientationCount; orientation++) {
+      if (isLegal(rules, row, col, orientation, board, history, player)) moves.push({ row, col, orientation });
+    }
+  }
+  return moves;
+};
+
+export const hasLegalMove = (rules, board, topologyId = DEFAULT_TOPOLOGY, history = [], player = 1) => {
+  const orientationCount = getTopology(topologyId).orientationNames.length;
+  return getCells(board.length, topologyId).some(([row, col]) => {
+    if (board[row][col] !== null) return false;
+    for (let orientation = 0; orientation < orientationCount; orientation++) {
+      if (isLegal(rules, row, col, orientation, board, history, player)) return true;
+    }
+    return false;
+  });
+};
+
+// Search for `stones` placements per player, players alternating from an empty board.
+// With captures on, captured stones go back to their owner and have to be placed again
+// (a player with nothing left in hand is skipped).
+// Returns the sequence of { row, col, orientation, player } or null if none was found.
+export const findPlacementSequence = (rules, {
+  size,
+  topology = DEFAULT_TOPOLOGY,
+  stones,
+  players = 1,
+  captures = false,
+}) => {
+  const total = stones * players;
+  const emptyBoard = createEmptyBoard(size);
+
+  // Rules that ignore other stones never change, so any legal cells will do
+  // (unless stones can be captured along the way)
+  if (!captures && !rules.some(rule => rule.dynamic)) {
+    const cells = new Map();
+    for (const move of getLegalMoves(rules, emptyBoard, topology)) {
+      if (!cells.has(`${move.row},${move.col}`)) cells.set(`${move.row},${move.col}`, move);
+    }
+    if (cells.size < total) return null;
+    return [...cells.values()].slice(0, total).map((move, i) => ({ ...move, player: (i % players) + 1 }));
+  }
+
+  const failed = new Set(); // Positions already known to be dead ends
+  const cells = getCells(size, topology);
+  const orientationCount = getTopology(topology).orientationNames.length;
+  let budget = SEARCH_LIMIT;
+  let checks = CHECK_LIMIT;
+
+  // The same stones with the same owners in any order are the same position - unless
+  // history rules look at the order, or captures can take stones off again
+  const ordered = captures || rules.some(rule => rule.sequential);
+  const positionKey = (sequence) => {
+    const moves = sequence.map(move => `${move.player}:${move.row},${move.col},${move.orientation}`);
+    return (ordered ? moves : moves.sort()).join(';');
+  };
+
+  // Legal moves are found one at a time, so a search that goes straight through
+  // never looks at the rest of the board
+  const search = (board, sequence, inHand) => {
+    if (inHand.every(count => count === 0)) return sequence;
+    const key = positionKey(sequence);
+    if (failed.has(key)) return null;
+
+    // The next player in turn who still has stones
+    let player = (sequence.length > 0 ? sequence.at(-1).player % players : 0) + 1;
+    while (inHand[player - 1] === 0) player = (player % players) + 1;
+
+    const history = sequence.map(move => ({ ...move, legal: true }));
+    for (const [row, col] of cells) {
+      if (board[row][col] !== null) continue;
+      for (let orientation = 0; orientation < orientationCount; orientation++) {
+        if (--checks < 0) return null;
+        if (!isLegal(rules, row, col, orientation, board, history, player)) continue;
+        if (--budget < 0) return null;
+
+        const move = { row, col, orientation, player };
+        const placement = playStone(board, move, { topology, captures });
+        const hands = inHand.map((count, i) =>
+          count - (i === player - 1 ? 1 : 0) + placement.captured.filter(stone => stone.player === i + 1).length
+        );
+        const found = search(placement.board, [...sequence, move], hands);
+        if (found) return found;
+        if (budget < 0 || checks < 0) return null;
+      }
+    }
+
+    failed.add(key);
+    return null;
+  };
+
+  return search(emptyBoard, [], Array(players).fill(stones));
+};
+
+export const isSolvable = (rules, options) => findPlacementSequence(rules, options) !== null;
@@ -0,0 +1,132 @@
+// Personal statistics - every finished game is kept locally for the Statistics screen
+
+import { getRuleCatalog, getInitialStones } from './rules.js';
+
+const STORAGE_KEY = 'wuweiqi.stats';
+const TREND_LENGTH = 20;
+
+export const getFinishedGames = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+};
+
+const writeFinishedGames = (games) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(games));
+  } catch {
+    // Storage may be unavailable (private mode) - the game just won't be counted
+  }
+};
+
+// Summary of a finished game from Player 1's point of view (the player at this screen)
+export const summarizeGame = ({
+  id,
+  mode,
+  boardSize,
+  topology,
+  opponent,
+  dailyKey,
+  ruleIds,
+  moveHistory,
+  moves,
+  hintLevel,
+  winner,
+  declarationBonus = null, // Player 1's reward for naming the rules, if they did
+}) => {
+  const ownMoves = moveHistory.filter(move => move.player === 1);
+  const legalMoves = ownMoves.filter(move => move.legal).length;
+  // Stones credited by a correct declaration count as placed
+  const stonesPlaced = legalMoves + (declarationBonus?.stones ?? 0);
+  const timestamps = moveHistory.map(move => move.timestamp).filter(Boolean);
+
+  return {
+    id,
+    finishedAt: Date.now(),
+    mode,
+    boardSize,
+    topology,
+    opponent: mode === 'duel' ? opponent : null,
+    daily: Boolean(dailyKey),
+    ruleIds,
+    moves,
+    stonesPlaced,
+    invalidMoves: ownMoves.length - legalMoves,
+    efficiency: Math.min(1, stonesPlaced / Math.max(moves, 1)), // A declaration bonus can push it past 100%
+    hintsUsed: hintLevel,
+    durationMs: timestamps.length > 1 ? Math.max(...timestamps) - Math.min(...timestamps) : 0,
+    won: winner === 1,
+    declarationBonus,
+  };
+};
+
+// Record a finished game (a game finished again after an undo replaces its earlier result)
+export const recordFinishedGame = (game) => {
+  const games = getFinishedGames().filter(existing => existing.id !== game.id);
+  writeFinishedGames([...games, game]);
+};
+
+export const clearFinishedGames = () => writeFinishedGames([]);
+
+// Solo games won by placing every stone on the board - draws and declarations
+// finish with stones in hand, so their move counts aren't comparable
+const placedEveryStone = (game) =>
+  game.won && game.stonesPlaced - (game.declarationBonus?.stones ?? 0) === getInitialStones(game.boardSize, game.topology);
+
+const average = (values) =>
+  values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : 0;
+
+// Totals, best scores, recent trend and per-rule difficulty for the Statistics screen
+export const getStatistics = (games = getFinishedGames()) => {
+  const ordered = [...games].sort((a, b) => a.finishedAt - b.finishedAt);
+  const solo = ordered.filter(game => game.mode === 'solo');
+  const duels = ordered.filter(game => game.mode === 'duel');
+  const completed = solo.filter(placedEveryStone);
+
+  // Fewest moves to place every stone, per board
+  const bests = new Map();
+  for (const game of completed) {
+    const key = `${game.topology}:${game.boardSize}`;
+    if (!bests.has(key) || game.moves < bests.get(key).moves) bests.set(key, game);
+  }
+
+  // How many invalid moves games with each rule took on average
+  const ruleGames = new Map();
+  for (const game of ordered) {
+    for (const id of game.ruleIds) {
+      if (!ruleGames.has(id)) ruleGames.set(id, []);
+      ruleGames.get(id).push(game);
+    }
+  }
+  const ruleDifficulty = [...ruleGames.entries()]
+    .map(([id, withRule]) => {
+      const { boardSize, topology } = withRule[0];
+      const rule = getRuleCatalog(boardSize, topology).find(candidate => candidate.id === id);
+      return {
+        id,
+        name: rule?.name ?? id,
+        games: withRule.length,
+        averageInvalid: average(withRule.map(game => game.invalidMoves)),
+      };
+    })
+    .sort((a, b) => b.averageInvalid - a.averageInvalid);
+
+  return {
+    gamesPlayed: ordered.length,
+    soloGames: solo.length,
+    duelGames: duels.length,
+    duelsWon: duels.filter(game => game.won).length,
+    rulesDeclared: ordered.filter(game => game.declarationBonus).length,
+    averageMoves: average(completed.map(game => game.moves)),
+    averageEfficiency: average(ordered.map(game => game.efficiency)),
+    averageHints: average(ordered.map(game => game.hintsUsed)),
+    averageDurationMs: average(ordered.map(game => game.durationMs)),
+    bestEfficiency: Math.max(0, ...ordered.map(game => game.efficiency)),
+    bests: [...bests.values()].sort((a, b) => a.boardSize - b.boardSize),
+    trend: ordered.slice(-TREND_LENGTH),
+    ruleDifficulty,
+    recent: ordered.slice(-10).reverse(),
+  };
+};
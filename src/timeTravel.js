@@ -0,0 +1,32 @@
+// Undo, redo and time travel through a game
+// The game keeps a timeline of snapshots - everything a turn changes - with the
+// present in the middle: past snapshots before it, undone ones after it.
+
+export const PLAY_STYLES = {
+  practice: { name: 'Practice', description: 'Unlimited undo and redo', undoLimit: Infinity },
+  ranked: { name: 'Ranked', description: 'No take-backs', undoLimit: 0 },
+};
+
+export const DEFAULT_PLAY_STYLE = 'practice';
+
+export const getTimeline = ({ past, present, future }) => [...past, present, ...future];
+
+// Make the snapshot at the given timeline position the present
+export const travelTo = (history, index) => {
+  const timeline = getTimeline(history);
+  return {
+    past: timeline.slice(0, index),
+    present: timeline[index],
+    future: timeline.slice(index + 1),
+  };
+};
+
+// Step from the present towards the target position, skipping snapshots that
+// should not be landed on (e.g. the computer's turn, which it would replay at once)
+export const findStop = (timeline, from, step, shouldSkip = () => false) => {
+  let index = from + step;
+  while (index > 0 && index < timeline.length - 1 && shouldSkip(timeline[index])) {
+    index += step;
+  }
+  return index;
+};
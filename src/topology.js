@@ -0,0 +1,152 @@
+// Board topologies - the square Go grid and a hexagonal board
+// Boards are always size x size arrays of cells. On the hex board the array
+// holds a hexagon in axial coordinates (col = q, row = r, offset so the center
+// is at [size/2, size/2]) and the array corners lie off the board.
+
+const SQUARE_SIZES = [7, 9, 13, 19];
+const HEX_SIZES = [7, 9, 13];
+
+// Orientation deltas [dRow, dCol] - the cell the piece's eye points at
+const SQUARE_DIRECTIONS = [[-1, 0], [0, 1], [1, 0], [0, -1]];
+const HEX_DIRECTIONS = [[-1, 1], [0, 1], [1, 0], [1, -1], [0, -1], [-1, 0]];
+
+const getStep = (directions) => (row, col, orientation) => {
+  const [dRow, dCol] = directions[orientation];
+  return [row + dRow, col + dCol];
+};
+
+const square = {
+  id: 'square',
+  name: 'Square',
+  sizes: SQUARE_SIZES,
+  orientationNames: ['North', 'East', 'South', 'West'],
+  // Rotation (degrees clockwise from North) of a piece with each orientation
+  getAngle: (orientation) => orientation * 90,
+  getFacing: getStep(SQUARE_DIRECTIONS),
+  isOnBoard: (row, col, size) => row >= 0 && row < size && col >= 0 && col < size,
+  countCells: (size) => size * size,
+
+  getNeighbors: (row, col, size) => {
+    const neighbors = [];
+    if (row > 0) neighbors.push([row - 1, col]);
+    if (row < size - 1) neighbors.push([row + 1, col]);
+    if (col > 0) neighbors.push([row, col - 1]);
+    if (col < size - 1) neighbors.push([row, col + 1]);
+    return neighbors;
+  },
+
+  getDiagonalNeighbors: (row, col, size) => {
+    const diagonals = [];
+    if (row > 0 && col > 0) diagonals.push([row - 1, col - 1]);
+    if (row > 0 && col < size - 1) diagonals.push([row - 1, col + 1]);
+    if (row < size - 1 && col > 0) diagonals.push([row + 1, col - 1]);
+    if (row < size - 1 && col < size - 1) diagonals.push([row + 1, col + 1]);
+    return diagonals;
+  },
+
+  getDistance: (r1, c1, r2, c2) => Math.abs(r1 - r2) + Math.abs(c1 - c2),
+
+  isEdge: (row, col, size) =>
+    row === 0 || row === size - 1 || col === 0 || col === size - 1,
+
+  isCorner: (row, col, size) =>
+    (row === 0 || row === size - 1) && (col === 0 || col === size - 1),
+
+  // Traditional Go star points: corners + center on small boards, nine points on 13x13 and up
+  getStarPoints: (size) => {
+    const center = Math.floor(size / 2);
+    const near = size >= 13 ? 3 : 2;
+    const far = size - 1 - near;
+    if (size >= 13) {
+      const lines = [near, center, far];
+      return lines.flatMap(r => lines.map(c => [r, c]));
+    }
+    return [[near, near], [near, far], [center, center], [far, near], [far, far]];
+  },
+};
+
+// Cube coordinates relative to the center of a hex board
+const toCube = (row, col, size) => {
+  const radius = Math.floor(size / 2);
+  const q = col - radius;
+  const r = row - radius;
+  return [q, r, -q - r];
+};
+
+const hexDistance = (r1, c1, r2, c2) => {
+  const dq = c1 - c2;
+  const dr = r1 - r2;
+  return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+};
+
+const isOnHexBoard = (row, col, size) => {
+  if (row < 0 || row >= size || col < 0 || col >= size) return false;
+  const radius = Math.floor(size / 2);
+  return toCube(row, col, size).every(coord => Math.abs(coord) <= radius);
+};
+
+const hex = {
+  id: 'hex',
+  name: 'Hexagonal',
+  sizes: HEX_SIZES,
+  orientationNames: ['Northeast', 'East', 'Southeast', 'Southwest', 'West', 'Northwest'],
+  getAngle: (orientation) => 30 + orientation * 60,
+  getFacing: getStep(HEX_DIRECTIONS),
+  isOnBoard: isOnHexBoard,
+  countCells: (size) => {
+    const radius = Math.floor(size / 2);
+    return 3 * radius * (radius + 1) + 1;
+  },
+
+  getNeighbors: (row, col, size) =>
+    HEX_DIRECTIONS
+      .map(([dRow, dCol]) => [row + dRow, col + dCol])
+      .filter(([r, c]) => isOnHexBoard(r, c, size)),
+
+  // Hexagons share an edge with every neighbor, so there are no diagonals
+  getDiagonalNeighbors: () => [],
+
+  getDistance: hexDistance,
+
+  isEdge: (row, col, size) =>
+    toCube(row, col, size).some(coord => Math.abs(coord) === Math.floor(size / 2)),
+
+  // The six corners of the hexagon sit on two of the three axes' extremes
+  isCorner: (row, col, size) =>
+    toCube(row, col, size).filter(coord => Math.abs(coord) === Math.floor(size / 2)).length >= 2,
+
+  // Center plus a point halfway out along each of the six directions
+  getStarPoints: (size) => {
+    const center = Math.floor(size / 2);
+    const reach = Math.floor(center / 2);
+    return [
+      [center, center],
+      ...HEX_DIRECTIONS.map(([dRow, dCol]) => [center + dRow * reach, center + dCol * reach]),
+    ];
+  },
+};
+
+export const TOPOLOGIES = { square, hex };
+
+export const DEFAULT_TOPOLOGY = 'square';
+
+export const getTopology = (id = DEFAULT_TOPOLOGY) => {
+  const topology = TOPOLOGIES[id];
+  if (!topology) throw new Error(`Unknown board topology: ${id}`);
+  return topology;
+};
+
+// All on-board cells as [row, col] pairs
+export const getCells = (size, topologyId = DEFAULT_TOPOLOGY) => {
+  const topology = getTopology(topologyId);
+  const cells = [];
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      if (topology.isOnBoard(row, col, size)) cells.push([row, col]);
+    }
+  }
+  return cells;
+};
+
+export const isStarPoint = (row, col, size, topologyId = DEFAULT_TOPOLOGY) =>
+  getTopology(topologyId).getStarPoints(size).some(([r, c]) => r === row && c === col);